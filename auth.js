@@ -0,0 +1,47 @@
+// Shared by every signed-in page (load it in <head>, before the page's own script).
+// Access tokens are short-lived: when an API call comes back 401 TOKEN_EXPIRED, trade the
+// stored refresh token for a new pair (/api/auth/refresh) and retry the call once.
+(function () {
+  const API_URL = "https://harvesters-hub-fbgo.onrender.com";
+  const originalFetch = window.fetch.bind(window);
+  let refreshing = null; // one refresh at a time, shared by every call that hit the expiry
+
+  async function refreshSession() {
+    const refreshToken = localStorage.getItem("refreshToken");
+    if (!refreshToken) return null;
+
+    const res = await originalFetch(`${API_URL}/api/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken })
+    });
+    if (!res.ok) return null;
+
+    const data = await res.json();
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("refreshToken", data.refreshToken);
+    return data.token;
+  }
+
+  window.fetch = async (input, init = {}) => {
+    const res = await originalFetch(input, init);
+
+    const headers = new Headers(init.headers || {});
+    const sent = (headers.get("Authorization") || "").replace(/^Bearer /, "");
+    if (res.status !== 401 || !sent) return res;
+
+    const { code } = await res.clone().json().catch(() => ({}));
+    if (code !== "TOKEN_EXPIRED") return res;
+
+    // Pages read the token once at load, so another call may already have refreshed it
+    let token = localStorage.getItem("token");
+    if (!token || token === sent) {
+      refreshing = refreshing || refreshSession().finally(() => { refreshing = null; });
+      token = await refreshing;
+    }
+    if (!token) return res; // refresh failed: the page handles the 401 as before
+
+    headers.set("Authorization", `Bearer ${token}`);
+    return originalFetch(input, { ...init, headers });
+  };
+})();
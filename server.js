@@ -5,7 +5,18 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const cloudinary = require("cloudinary").v2;
 const multer = require("multer");
-const { CloudinaryStorage } = require("multer-storage-cloudinary");
+const sharp = require("sharp");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const ExcelJS = require("exceljs");
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const { parse: parseCsv } = require("csv-parse/sync");
+const Joi = require("joi");
 
 const app = express();
 
@@ -20,19 +31,145 @@ app.use(
       "http://127.0.0.1:5500",
       "https://harvesters-hub.vercel.app", // e.g. Vercel domain
     ],
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"]
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Device-Token"]
   })
 );
 
+// ---------- Errors & validation ----------
+// Every failure is answered with one envelope the front-end can render uniformly:
+//   { success: false, code: "VALIDATION_FAILED", message: "…", details: [{ field, in, code, message }] }
+// `code` is machine-readable and stable; `message` is for humans; `details` is optional.
+const DEFAULT_ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  500: "INTERNAL_ERROR"
+};
+
+function sendError(res, status, message, { code, details } = {}) {
+  const body = { success: false, code: code || DEFAULT_ERROR_CODES[status] || "ERROR", message };
+  if (details !== undefined) body.details = details;
+  return res.status(status).json(body);
+}
+
+// Map a thrown error to { status, code, message, details }. Unknown errors become a
+// generic 500 so internals never leak to the client.
+function describeError(err) {
+  if (Joi.isError(err)) {
+    return { status: 400, code: "VALIDATION_FAILED", message: "Validation failed", details: joiDetails(err) };
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return {
+      status: 400,
+      code: "INVALID_ID",
+      message: `Invalid ${err.path}`,
+      details: [{ field: err.path, code: "invalid", message: `"${err.value}" is not a valid ${err.kind}` }]
+    };
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return {
+      status: 400,
+      code: "VALIDATION_FAILED",
+      message: "Validation failed",
+      details: Object.values(err.errors).map(e => ({ field: e.path, code: e.kind, message: e.message }))
+    };
+  }
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return {
+      status: 409,
+      code: "DUPLICATE",
+      message: fields.length ? `${fields.join(", ")} already exists` : "Duplicate record",
+      details: fields.map(field => ({ field, code: "duplicate", message: `${field} already exists` }))
+    };
+  }
+  if (err?.type === "entity.parse.failed") {
+    return { status: 400, code: "INVALID_JSON", message: "Request body is not valid JSON" };
+  }
+  if (err instanceof multer.MulterError) {
+    const tooLarge = err.code === "LIMIT_FILE_SIZE";
+    return {
+      status: tooLarge ? 413 : 400,
+      code: tooLarge ? "PAYLOAD_TOO_LARGE" : "UPLOAD_REJECTED",
+      message: err.message,
+      details: err.field ? [{ field: err.field, code: err.code, message: err.message }] : undefined
+    };
+  }
+  return { status: 500, code: "INTERNAL_ERROR", message: "Server error" };
+}
+
+// Catch-block responder: known errors get their proper status, the rest a 500
+function sendServerError(res, err) {
+  const { status, code, message, details } = describeError(err);
+  return sendError(res, status, message, { code, details });
+}
+
+function joiDetails(err) {
+  return err.details.map(d => ({
+    field: d.path.join(".") || d.context?.key || "",
+    code: d.type,
+    message: d.message.replace(/"/g, "")
+  }));
+}
+
+// Shared field rules for route schemas
+const rules = {
+  id: Joi.string().trim().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    "string.pattern.base": "{{#label}} must be a valid id"
+  }),
+  phone: Joi.string().trim().pattern(/^\+?[\d\s().-]{7,20}$/).messages({
+    "string.pattern.base": "{{#label}} must be a valid phone number"
+  }),
+  email: Joi.string().trim().email({ tlds: { allow: false } }),
+  date: Joi.date().iso(),
+  flag: Joi.string().valid("true", "false"),
+  name: Joi.string().trim().max(200)
+};
+const idParam = { params: Joi.object({ id: rules.id.required() }) };
+
+// validate({ body, query, params }) – check the request against Joi schemas and
+// answer 400 VALIDATION_FAILED with every failing field. Values are checked, not
+// rewritten, so handlers keep reading req.* as before. Unknown keys are allowed
+// (clients send extra form fields); list them explicitly to restrict.
+function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+      const { error } = schemas[part].validate(req[part] || {}, { abortEarly: false, allowUnknown: true });
+      if (error) details.push(...joiDetails(error).map(d => ({ ...d, in: part })));
+    }
+    if (details.length) {
+      return sendError(res, 400, details[0].message, { code: "VALIDATION_FAILED", details });
+    }
+    next();
+  };
+}
+
 // ---------- MongoDB ----------
-mongoose
-  .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB connected"))
-  .catch(err => {
-    console.error("❌ MongoDB connection error:", err);
-    process.exit(1);
-  });
+// Called from the start block at the bottom, so tests can require() the app without a database
+function connectDatabase() {
+  return mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => {
+      console.log("✅ MongoDB connected");
+      startAlertJob();
+      runPostMigrations();
+      migrateMemberPhones()
+        .catch(err => console.error("❌ Member phone migration failed:", err));
+      dropIndexIfExists(Community, "name_1") // see communitySchema
+        .catch(err => console.error("❌ Dropping the old community name index failed:", err));
+      return bootstrapSuperAdmin();
+    })
+    .catch(err => {
+      console.error("❌ MongoDB connection error:", err);
+      process.exit(1);
+    });
+}
 
 // ---------- Cloudinary ----------
 cloudinary.config({
@@ -45,17 +182,406 @@ cloudinary.config({
 const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
 const CHANNEL_ID = process.env.CHANNEL_ID;
 
-// Storage: sends files straight to Cloudinary
-const storage = new CloudinaryStorage({
-  cloudinary,
-  params: async () => ({
-    folder: "harvesters_hub",
-    allowed_formats: ["jpg", "jpeg", "png", "webp"],
-    resource_type: "image" // ensure images only
+// ---------- Notifier ----------
+// Delivers account messages (password resets, …). Pick an adapter with NOTIFIER:
+//   console (default) – prints to the server log
+//   file              – appends JSON lines to NOTIFIER_FILE (default ./notifications.log)
+//   email             – SMTP via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_FROM
+//   sms               – POSTs { to, message } to SMS_API_URL with SMS_API_KEY as bearer
+// Every adapter takes { to: { email, phone }, subject, text }.
+// console and file leave reset and invite links in plain text on the server, so they are
+// refused when NODE_ENV=production.
+const notifierAdapters = {
+  console: () => ({
+    async send({ to, subject, text }) {
+      console.log(`📨 [notify] to=${to.email || to.phone || "?"} subject="${subject}"\n${text}`);
+    }
+  }),
+
+  file: () => {
+    const file = process.env.NOTIFIER_FILE || path.join(__dirname, "notifications.log");
+    return {
+      async send(message) {
+        const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n";
+        await fs.promises.appendFile(file, line);
+      }
+    };
+  },
+
+  email: () => {
+    const transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return {
+      async send({ to, subject, text }) {
+        if (!to.email) throw new Error("Recipient has no email address");
+        await transport.sendMail({ from: process.env.SMTP_FROM, to: to.email, subject, text });
+      }
+    };
+  },
+
+  sms: () => ({
+    async send({ to, subject, text }) {
+      if (!to.phone) throw new Error("Recipient has no phone number");
+      const response = await fetch(process.env.SMS_API_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.SMS_API_KEY}`
+        },
+        body: JSON.stringify({ to: to.phone, message: `${subject}: ${text}` })
+      });
+      if (!response.ok) throw new Error(`SMS gateway responded ${response.status}`);
+    }
   })
+};
+
+function createNotifier(kind) {
+  const factory = notifierAdapters[kind];
+  if (!factory) throw new Error(`Unknown NOTIFIER "${kind}"`);
+  return factory();
+}
+
+const NOTIFIER = process.env.NOTIFIER || "console";
+if (process.env.NODE_ENV === "production" && ["console", "file"].includes(NOTIFIER)) {
+  console.error(`❌ NOTIFIER=${NOTIFIER} would write reset and invite links to the server; set NOTIFIER=email or sms`);
+  process.exit(1);
+}
+const notifier = createNotifier(NOTIFIER);
+
+// Post media: images and videos, screened by MIME type before anything reaches Cloudinary.
+//   IMAGE_MAX_MB (default 10), VIDEO_MAX_MB (default 100), VIDEO_MAX_SECONDS (default 180)
+const MB = 1024 * 1024;
+const MEDIA_KINDS = {
+  image: {
+    mimetypes: ["image/jpeg", "image/png", "image/webp"],
+    formats: ["jpg", "jpeg", "png", "webp"],
+    maxBytes: (parseInt(process.env.IMAGE_MAX_MB, 10) || 10) * MB
+  },
+  video: {
+    mimetypes: ["video/mp4", "video/quicktime", "video/webm"],
+    formats: ["mp4", "mov", "webm"],
+    maxBytes: (parseInt(process.env.VIDEO_MAX_MB, 10) || 100) * MB
+  }
+};
+const VIDEO_MAX_SECONDS = parseInt(process.env.VIDEO_MAX_SECONDS, 10) || 180;
+
+const mediaKindOf = file => Object.keys(MEDIA_KINDS).find(kind => MEDIA_KINDS[kind].mimetypes.includes(file.mimetype));
+
+// ---------- Media storage ----------
+// Where uploaded files (post media and logos) live. Pick a backend with STORAGE:
+//   cloudinary (default) – CLOUDINARY_* credentials; variants are Cloudinary URL transformations
+//   local                – files under LOCAL_STORAGE_DIR (default ./uploads), served at /uploads,
+//                          variants are resized copies made with sharp. URLs start with PUBLIC_URL
+//                          (e.g. https://api.example.org), else the host the upload came in on.
+//                          Videos get no poster or duration here.
+// Every backend has save(req, file, { folder, type, variants }) →
+//   { url, publicId, format, bytes, width, height, duration?, poster?, variants: { name: url } }
+// and remove({ publicId, type, variants }).
+const MEDIA_FOLDER = "harvesters_hub";
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, "uploads");
+
+// Resized copies of every stored image: logos are shown as avatars, post images in the feed,
+// event covers in calendar lists and on the event page
+const IMAGE_VARIANTS = {
+  logo: {
+    thumb: { width: 96, height: 96, fit: "cover" },
+    medium: { width: 320, height: 320, fit: "cover" }
+  },
+  media: {
+    thumb: { width: 320, height: 320, fit: "cover" },
+    feed: { width: 1080, height: 1350, fit: "inside" }
+  },
+  cover: {
+    thumb: { width: 480, height: 270, fit: "cover" },
+    banner: { width: 1200, height: 630, fit: "cover" }
+  }
+};
+
+// Images are decoded in memory (local backend), so read one only while it stays under the
+// image limit; the multer limit is the larger video one
+async function readImage(file) {
+  const { maxBytes } = MEDIA_KINDS.image;
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of file.stream) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      const err = new multer.MulterError("LIMIT_FILE_SIZE", file.fieldname);
+      err.message = `${file.originalname} is larger than ${maxBytes / MB} MB`;
+      throw err;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+const storageAdapters = {
+  cloudinary: () => ({
+    save(req, file, { folder, type, variants }) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          { folder, resource_type: type, allowed_formats: MEDIA_KINDS[type].formats },
+          (err, result) => {
+            if (err) return reject(err);
+            const url = (transformation, format) =>
+              cloudinary.url(result.public_id, { resource_type: type, secure: true, format, transformation });
+            resolve({
+              url: result.secure_url,
+              publicId: result.public_id,
+              format: result.format,
+              bytes: result.bytes,
+              width: result.width,
+              height: result.height,
+              ...(type === "video" && {
+                duration: result.duration,
+                poster: url([{ start_offset: "auto" }], "jpg") // rendered by Cloudinary on first request
+              }),
+              variants: Object.fromEntries(Object.entries(variants).map(([name, size]) => [
+                name,
+                url([{ width: size.width, height: size.height, crop: size.fit === "cover" ? "fill" : "limit" }])
+              ]))
+            });
+          }
+        );
+        file.stream.pipe(stream);
+      });
+    },
+
+    async remove({ publicId, type }) {
+      const { result } = await cloudinary.uploader.destroy(publicId, { resource_type: type, invalidate: true });
+      if (!["ok", "not found"].includes(result)) throw new Error(`Cloudinary could not remove ${publicId}: ${result}`);
+    }
+  }),
+
+  local: () => {
+    const EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "video/mp4": "mp4", "video/quicktime": "mov", "video/webm": "webm" };
+    const baseUrl = req => process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+    const unlink = file => fs.promises.unlink(path.join(LOCAL_STORAGE_DIR, file)).catch(err => {
+      if (err.code !== "ENOENT") throw err;
+    });
+
+    return {
+      async save(req, file, { folder, type, variants }) {
+        await fs.promises.mkdir(path.join(LOCAL_STORAGE_DIR, folder), { recursive: true });
+        const name = `${folder}/${crypto.randomUUID()}`;
+        const publicId = `${name}.${EXTENSIONS[file.mimetype]}`;
+        const target = path.join(LOCAL_STORAGE_DIR, publicId);
+        const url = id => `${baseUrl(req)}/uploads/${id}`;
+
+        if (type === "video") {
+          await pipeline(file.stream, fs.createWriteStream(target));
+          const { size } = await fs.promises.stat(target);
+          return { url: url(publicId), publicId, format: EXTENSIONS[file.mimetype], bytes: size, variants: {} };
+        }
+
+        const buffer = await readImage(file);
+
+        // Decode everything before writing anything, so an unreadable image leaves no files
+        let meta;
+        const resized = {};
+        try {
+          meta = await sharp(buffer).metadata();
+          for (const [variant, size] of Object.entries(variants)) {
+            resized[variant] = await sharp(buffer)
+              .rotate()
+              .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: true })
+              .webp()
+              .toBuffer();
+          }
+        } catch (err) {
+          const rejected = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+          rejected.message = `${file.originalname} is not a readable image`;
+          throw rejected;
+        }
+        const rotated = meta.orientation >= 5; // EXIF rotation swaps the displayed sides
+        await fs.promises.writeFile(target, buffer);
+
+        const variantUrls = {};
+        for (const [variant, data] of Object.entries(resized)) {
+          const id = `${name}_${variant}.webp`;
+          await fs.promises.writeFile(path.join(LOCAL_STORAGE_DIR, id), data);
+          variantUrls[variant] = url(id);
+        }
+
+        return {
+          url: url(publicId),
+          publicId,
+          format: meta.format === "jpeg" ? "jpg" : meta.format,
+          bytes: buffer.length,
+          width: rotated ? meta.height : meta.width,
+          height: rotated ? meta.width : meta.height,
+          variants: variantUrls
+        };
+      },
+
+      // Variants sit next to the original, named after it
+      async remove({ publicId, variants = {} }) {
+        const dir = path.posix.dirname(publicId);
+        await unlink(publicId);
+        await Promise.all(Object.values(variants).map(url => unlink(path.posix.join(dir, path.posix.basename(url)))));
+      }
+    };
+  }
+};
+
+// One instance per backend, so files stored under a previous STORAGE can still be removed
+const storageBackends = {};
+function storageBackend(name) {
+  const factory = storageAdapters[name];
+  if (!factory) throw new Error(`Unknown STORAGE "${name}"`);
+  storageBackends[name] = storageBackends[name] || { name, ...factory() };
+  return storageBackends[name];
+}
+
+const mediaStorage = storageBackend(process.env.STORAGE || "cloudinary");
+if (mediaStorage.name === "local") {
+  app.use("/uploads", express.static(LOCAL_STORAGE_DIR));
+}
+
+// multer storage engine over mediaStorage. What the backend returns is merged into
+// req.file(s), with path = url and filename = publicId as multer-storage-cloudinary had it.
+class MediaStorageEngine {
+  constructor({ folder, variants }) {
+    this.folder = folder;
+    this.variants = variants;
+  }
+
+  _handleFile(req, file, cb) {
+    const type = mediaKindOf(file);
+    mediaStorage.save(req, file, { folder: this.folder, type, variants: type === "image" ? this.variants : {} })
+      .then(info => cb(null, { ...info, type, storage: mediaStorage.name, path: info.url, filename: info.publicId, size: info.bytes }))
+      .catch(cb);
+  }
+
+  _removeFile(req, file, cb) {
+    storageBackend(file.storage).remove(file).then(() => cb(null), cb);
+  }
+}
+
+// Reject anything but the given media kinds before it reaches storage
+function acceptKinds(...kinds) {
+  return (req, file, cb) => {
+    if (kinds.includes(mediaKindOf(file))) return cb(null, true);
+    const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+    err.message = `Unsupported file type "${file.mimetype}"; allowed: ` +
+      kinds.flatMap(kind => MEDIA_KINDS[kind].formats).join(", ");
+    cb(err);
+  };
+}
+
+// Entity logos: images only
+const upload = multer({
+  storage: new MediaStorageEngine({ folder: MEDIA_FOLDER, variants: IMAGE_VARIANTS.logo }),
+  limits: { fileSize: MEDIA_KINDS.image.maxBytes },
+  fileFilter: acceptKinds("image")
+});
+
+// Logo fields for a node from its uploaded file (the thumb is what avatars show)
+function logoFields(file) {
+  return file
+    ? { logo: file.path, logoVariants: file.variants, logoFile: { storage: file.storage, publicId: file.publicId } }
+    : { logo: "" };
+}
+
+// A node's current logo as a stored media item for destroyStoredMedia. Logos saved before
+// logoFile was recorded have neither field, so they fall back to Cloudinary + publicIdFromUrl.
+function storedLogo(node) {
+  const { logo, logoVariants, logoFile = {} } = node.toObject();
+  return logo ? { url: logo, type: "image", variants: logoVariants, ...logoFile } : null;
+}
+
+// Event cover images
+const coverUpload = multer({
+  storage: new MediaStorageEngine({ folder: MEDIA_FOLDER, variants: IMAGE_VARIANTS.cover }),
+  limits: { fileSize: MEDIA_KINDS.image.maxBytes },
+  fileFilter: acceptKinds("image")
+});
+
+const mediaUpload = multer({
+  storage: new MediaStorageEngine({ folder: MEDIA_FOLDER, variants: IMAGE_VARIANTS.media }),
+  // The per-kind image limit is checked once storage reports the size
+  limits: { fileSize: Math.max(...Object.values(MEDIA_KINDS).map(kind => kind.maxBytes)) },
+  fileFilter: acceptKinds(...Object.keys(MEDIA_KINDS))
 });
 
-const upload = multer({ storage });
+// Media item stored on a post, from an uploaded file. Videos carry a poster frame
+// and their duration when the backend provides them.
+function mediaItemFromFile(file) {
+  return {
+    url: file.path,
+    type: file.type,
+    storage: file.storage,
+    publicId: file.publicId,
+    format: file.format,
+    bytes: file.bytes,
+    width: file.width,
+    height: file.height,
+    variants: file.variants,
+    ...(file.type === "video" && { duration: file.duration, poster: file.poster })
+  };
+}
+
+// Reason the uploaded files break the per-kind limits, or null
+function mediaLimitError(files) {
+  for (const file of files) {
+    const item = mediaItemFromFile(file);
+    const { maxBytes } = MEDIA_KINDS[item.type];
+    if (item.bytes > maxBytes) {
+      return `${file.originalname} is larger than ${maxBytes / MB} MB`;
+    }
+    if (item.type === "video" && item.duration > VIDEO_MAX_SECONDS) {
+      return `${file.originalname} is longer than ${VIDEO_MAX_SECONDS} seconds`;
+    }
+  }
+  return null;
+}
+
+// Delete just-uploaded files from storage
+function discardMedia(files) {
+  return Promise.allSettled(files.map(file => storageBackend(file.storage).remove(file)));
+}
+
+// Cloudinary public id from a delivery URL (.../upload/[transformations/]v123/<public id>.<ext>),
+// for media saved before publicId was recorded
+function publicIdFromUrl(url) {
+  const match = /\/upload\/(?:.+\/)?v\d+\/(.+)\.[^./]+$/.exec(url || "");
+  return match ? match[1] : null;
+}
+
+// Delete stored media items (post media, event covers) from whichever backend holds each;
+// failures are logged, not thrown
+async function destroyStoredMedia(media) {
+  const results = await Promise.allSettled(media.map(item => {
+    const { storage = "cloudinary", publicId = publicIdFromUrl(item.url), type, variants } = item.toObject ? item.toObject() : item;
+    if (!publicId) return Promise.reject(new Error(`No public id for ${item.url}`));
+    return storageBackend(storage).remove({ publicId, type, variants });
+  }));
+  const failed = results.filter(r => r.status === "rejected");
+  if (failed.length) {
+    console.error(`❌ ${failed.length} media file(s) could not be removed from storage:`, failed.map(r => r.reason));
+  }
+}
+
+// Use right after every multer that stores media (upload, mediaUpload, coverUpload): multer runs
+// before validate, so if the request ends in an error (validation, limits, a failed save) the
+// files it already stored are removed again
+function discardMediaOnError(req, res, next) {
+  res.on("finish", () => {
+    const files = req.files || (req.file ? [req.file] : []);
+    if (res.statusCode >= 400 && files.length) discardMedia(files);
+  });
+  next();
+}
+
+// CSV imports are parsed in memory, never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
 
 // ---------- Mongoose Schema---------
 const ImageSchema = new mongoose.Schema(
@@ -75,19 +601,378 @@ const ImageSchema = new mongoose.Schema(
     uploaderName: { type: String, required: true },
     uploaderLogo: { type: String, required: true },
 
-    dateUploaded: { type: Date, default: Date.now }
+    dateUploaded: { type: Date, default: Date.now },
+
+    // Set once migrateImagesToPosts() has folded this file into a Post
+    migratedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Post" }
+  },
+  { timestamps: true }
+);
+
+// ✅ A post: one caption and one set of reactions over an ordered gallery of media.
+// Replaces the one-Image-per-file model (old Image ids are kept in legacyImages so links still resolve).
+const postMediaSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  type: { type: String, enum: ["image", "video"], required: true },
+  storage: { type: String, default: "cloudinary" }, // backend holding the file (see STORAGE)
+  publicId: { type: String }, // storage id, for cleanup
+  format: { type: String },
+  bytes: { type: Number },
+  width: { type: Number },
+  height: { type: Number },
+  variants: { thumb: String, feed: String }, // resized images (IMAGE_VARIANTS.media)
+
+  // videos only
+  poster: { type: String }, // still frame shown before playback
+  duration: { type: Number } // seconds
+}, { _id: true });
+
+const postSchema = new mongoose.Schema(
+  {
+    media: {
+      type: [postMediaSchema],
+      validate: [media => media.length > 0, "A post needs at least one media item"]
+    },
+    caption: { type: String, default: "" },
+    // Reactions live in the Like collection; see reactionSummaries()
+
+    // ✅ Uploader info
+    uploaderId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    uploaderRole: { type: String, enum: ["campus", "district", "cell"], required: true },
+    uploaderName: { type: String, required: true },
+    uploaderLogo: { type: String, default: "" },
+
+    legacyImages: [{ type: mongoose.Schema.Types.ObjectId }],
+
+    // Moderation: only published posts reach the feed (see PREMODERATED_ROLES).
+    // Posts saved before moderation existed have no status and count as published.
+    status: { type: String, enum: ["pending", "published", "rejected", "hidden"], default: "published" },
+    moderation: [{
+      action: { type: String, enum: ["approve", "reject", "hide", "edit"], required: true }, // edit = uploader changed it
+      reason: { type: String, default: "" },
+      by: { role: String, id: mongoose.Schema.Types.ObjectId },
+      at: { type: Date, default: Date.now }
+    }],
+    openReports: { type: Number, default: 0 }
   },
   { timestamps: true }
 );
 
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ status: 1, createdAt: -1 });
+postSchema.index({ openReports: -1, createdAt: -1 });
+postSchema.index({ uploaderRole: 1, uploaderId: 1, createdAt: -1 });
+postSchema.index({ legacyImages: 1 });
+
+// ✅ Comments on uploads (one level of replies). Authors are a signed-in account or a
+// named device; the device id is only kept as a hash so it can't be read back and reused.
+const commentSchema = new mongoose.Schema({
+  upload: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: "Comment", default: null }, // null = top level
+  text: { type: String, required: true, trim: true, maxlength: 1000 },
+  author: {
+    role: { type: String, enum: ["campus", "district", "community", "cell", "superadmin"] }, // unset for devices
+    id: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String, required: true },
+    logo: { type: String, default: "" },
+    deviceHash: { type: String, select: false } // anonymous authors: hashDevice() of their device reactor
+  },
+  status: { type: String, enum: ["visible", "removed"], default: "visible" },
+  editedAt: { type: Date },
+  removedAt: { type: Date },
+  removedBy: { role: String, id: mongoose.Schema.Types.ObjectId, reason: String }
+}, { timestamps: true });
+
+commentSchema.index({ upload: 1, parent: 1, createdAt: 1 });
+
+// ✅ Viewer reports against a post; one per reporter (same keys as reactions) and post
+const REPORT_REASONS = ["spam", "offensive", "inappropriate", "copyright", "other"];
+
+const reportSchema = new mongoose.Schema({
+  upload: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+  reporter: { type: String, required: true },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: { type: String, trim: true, maxlength: 500, default: "" },
+  status: { type: String, enum: ["open", "resolved"], default: "open" },
+  resolvedBy: { role: String, id: mongoose.Schema.Types.ObjectId },
+  resolvedAt: { type: Date }
+}, { timestamps: true });
+
+reportSchema.index({ upload: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ upload: 1, status: 1 });
+
+// ✅ One row per reaction: at most one per post and reactor, timestamped for the trending sort.
+// reactor = "<role>:<account id>" when signed in, "device:<id>" for a signed device token,
+// "legacy:<hash>" for likes carried over from the old client-supplied deviceIds.
+const REACTION_TYPES = ["like", "love", "pray", "amen", "celebrate"];
+
+const likeSchema = new mongoose.Schema({
+  upload: { type: mongoose.Schema.Types.ObjectId, ref: "Post", required: true },
+  reactor: { type: String, required: true },
+  type: { type: String, enum: REACTION_TYPES, default: "like" }
+}, { timestamps: true });
+
+// Partial so rows still awaiting migrateLikes() (no reactor yet) don't collide
+likeSchema.index({ upload: 1, reactor: 1 }, { unique: true, partialFilterExpression: { reactor: { $type: "string" } } });
+likeSchema.index({ upload: 1, createdAt: -1 });
+
+// ---------- Member duplicate helpers ----------
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || "234";
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// "+234 803-123-4567", "08031234567", "2348031234567" → "2348031234567"
+function normalizePhone(phone) {
+  let digits = String(phone || "").replace(/\D/g, "");
+  if (digits.startsWith("00")) digits = digits.slice(2);
+  if (digits.startsWith("0")) digits = DEFAULT_COUNTRY_CODE + digits.slice(1);
+  return digits;
+}
+
+// "Okafor,  John-Paul" → "john okafor paul" (order-insensitive)
+function normalizePersonName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// 1 = identical normalized names, 0 = nothing in common
+function nameSimilarity(a, b) {
+  const x = normalizePersonName(a);
+  const y = normalizePersonName(b);
+  if (!x || !y) return 0;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+}
+
+// Name comparisons per detectDuplicates() call. Past this the scan stops early and reports
+// itself incomplete rather than tying up the server on one huge, badly-blocked scope.
+const DUPLICATE_MAX_COMPARISONS = parseInt(process.env.DUPLICATE_MAX_COMPARISONS, 10) || 1000000;
+const COMPARISONS_PER_TICK = 2000; // then yield so other requests get served
+
+// Find likely duplicate pairs among members (same normalized phone, or similar names).
+// Names are only compared within blocks sharing a token prefix, and within a block only
+// when their lengths are close enough to ever reach NAME_SIMILARITY_THRESHOLD.
+// Resolves to { pairs, complete }; complete is false when the comparison budget ran out.
+async function detectDuplicates(members, maxComparisons = DUPLICATE_MAX_COMPARISONS) {
+  const pairs = new Map();
+  const addPair = (a, b, reason, score) => {
+    const [x, y] = [String(a._id), String(b._id)].sort();
+    const key = `${x}:${y}`;
+    const pair = pairs.get(key) || { pairKey: key, members: [x, y], reasons: [], score: 0 };
+    if (!pair.reasons.includes(reason)) pair.reasons.push(reason);
+    pair.score = Math.max(pair.score, score);
+    pairs.set(key, pair);
+  };
+
+  let comparisons = 0;
+  const spend = async () => {
+    comparisons++;
+    if (comparisons % COMPARISONS_PER_TICK === 0) await new Promise(resolve => setImmediate(resolve));
+    return comparisons <= maxComparisons;
+  };
+
+  const byPhone = new Map();
+  const byBlock = new Map();
+  for (const m of members) {
+    const phone = m.normalizedPhone || normalizePhone(m.phone);
+    if (phone) {
+      if (!byPhone.has(phone)) byPhone.set(phone, []);
+      byPhone.get(phone).push(m);
+    }
+    const name = normalizePersonName(m.fullName);
+    for (const token of new Set(name.split(" "))) {
+      if (token.length < 2) continue;
+      const block = token.slice(0, 3);
+      if (!byBlock.has(block)) byBlock.set(block, []);
+      byBlock.get(block).push({ member: m, length: name.length });
+    }
+  }
+
+  for (const group of byPhone.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        if (!(await spend())) return { pairs: [...pairs.values()], complete: false };
+        addPair(group[i], group[j], "phone", nameSimilarity(group[i].fullName, group[j].fullName));
+      }
+    }
+  }
+
+  // Two names can only be similar enough if the longer is at most this much longer
+  const maxLengthRatio = 1 / NAME_SIMILARITY_THRESHOLD;
+  for (const group of byBlock.values()) {
+    group.sort((a, b) => a.length - b.length);
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length && group[j].length <= group[i].length * maxLengthRatio; j++) {
+        const [a, b] = [group[i].member, group[j].member];
+        if (String(a._id) === String(b._id)) continue;
+        if (!(await spend())) return { pairs: [...pairs.values()], complete: false };
+        const score = nameSimilarity(a.fullName, b.fullName);
+        if (score >= NAME_SIMILARITY_THRESHOLD) addPair(a, b, "name", score);
+      }
+    }
+  }
+
+  return { pairs: [...pairs.values()], complete: true };
+}
+
+// Existing members that look like `person` ({ _id?, fullName, phone }): the same normalized
+// phone, or a name similar enough. Candidates are every member sharing a name-token prefix;
+// they are streamed and compared one by one against `person`, so none are cut off.
+// Resolves to [{ member, reasons, score }].
+async function findLookalikes(person) {
+  const phone = normalizePhone(person.phone);
+  const nameTokens = [...new Set(normalizePersonName(person.fullName).split(" "))].filter(t => t.length >= 2);
+  const or = [
+    ...(phone ? [{ normalizedPhone: phone }] : []),
+    ...nameTokens.map(t => ({ fullName: new RegExp(`\\b${escapeRegex(t.slice(0, 3))}`, "i") }))
+  ];
+  if (!or.length) return [];
+
+  const filter = { $or: or, ...(person._id && { _id: { $ne: person._id } }) };
+  const lookalikes = [];
+  for await (const member of Member.find(filter).select("fullName phone normalizedPhone").lean().cursor()) {
+    const match = lookalikeMatch(person, member);
+    if (match) lookalikes.push({ member, ...match });
+  }
+  return lookalikes;
+}
+
+// { reasons, score } when two people look like the same member, else null
+function lookalikeMatch(a, b) {
+  const phone = normalizePhone(a.phone);
+  const reasons = [];
+  if (phone && (b.normalizedPhone || normalizePhone(b.phone)) === phone) reasons.push("phone");
+  const score = nameSimilarity(a.fullName, b.fullName);
+  if (score >= NAME_SIMILARITY_THRESHOLD) reasons.push("name");
+  return reasons.length ? { reasons, score } : null;
+}
+
+// Review-queue pairs between a saved member and its lookalikes
+function lookalikePairs(member, lookalikes) {
+  return lookalikes.map(({ member: other, reasons, score }) => {
+    const ids = [String(member._id), String(other._id)].sort();
+    return { pairKey: ids.join(":"), members: ids, reasons, score };
+  });
+}
+
+// Members saved before normalizedPhone existed get it filled in, so the phone lookups above
+// match them. Only members still missing it are touched, so reruns are cheap.
+async function migrateMemberPhones() {
+  const members = Member.collection.find(
+    { normalizedPhone: { $exists: false }, phone: { $type: "string" } },
+    { projection: { phone: 1 } }
+  );
+  let ops = [];
+  let migrated = 0;
+  for await (const member of members) {
+    ops.push({ updateOne: { filter: { _id: member._id }, update: { $set: { normalizedPhone: normalizePhone(member.phone) } } } });
+    migrated += 1;
+    if (ops.length === 500) {
+      await Member.collection.bulkWrite(ops);
+      ops = [];
+    }
+  }
+  if (ops.length) await Member.collection.bulkWrite(ops);
+  if (migrated) console.log(`📞 Normalized the phone numbers of ${migrated} member(s)`);
+}
+
+// Insert newly found pairs into the review queue; already-reviewed pairs are left alone
+async function queueDuplicates(pairs) {
+  if (!pairs.length) return 0;
+  const result = await DuplicateCandidate.bulkWrite(pairs.map(pair => ({
+    updateOne: {
+      filter: { pairKey: pair.pairKey },
+      update: {
+        $setOnInsert: { pairKey: pair.pairKey, members: pair.members, status: "pending" },
+        $set: { reasons: pair.reasons, score: Math.round(pair.score * 100) / 100 }
+      },
+      upsert: true
+    }
+  })));
+  return result.upsertedCount;
+}
+
+// ---------- Password hashing ----------
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+const isBcryptHash = value => /^\$2[aby]\$\d{2}\$/.test(value || "");
+
+// Shared by every account schema:
+// - hashes `password` on save (register paths stay unchanged)
+// - verifyPassword() accepts legacy plain-text passwords once and upgrades them in place
+// - stamps passwordChangedAt so older sessions can be refused
+// - never serializes the hash
+function passwordPlugin(schema) {
+  schema.add({ passwordChangedAt: { type: Date } });
+
+  schema.pre("save", async function (next) {
+    if (!this.isModified("password") || isBcryptHash(this.password)) return next();
+    try {
+      this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+      if (!this.isNew) this.passwordChangedAt = new Date();
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  schema.methods.verifyPassword = async function (candidate) {
+    if (!candidate || !this.password) return false;
+
+    let ok;
+    if (isBcryptHash(this.password)) {
+      ok = await bcrypt.compare(candidate, this.password);
+    } else {
+      // Legacy plain-text account
+      const a = Buffer.from(String(candidate));
+      const b = Buffer.from(String(this.password));
+      ok = a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+    if (!ok) return false;
+
+    // Rehash plain-text or weaker-than-current hashes on successful login
+    if (!isBcryptHash(this.password) || bcrypt.getRounds(this.password) < BCRYPT_ROUNDS) {
+      const hash = await bcrypt.hash(candidate, BCRYPT_ROUNDS);
+      await this.constructor.updateOne({ _id: this._id }, { $set: { password: hash } });
+      this.password = hash;
+    }
+    return true;
+  };
+
+  schema.set("toJSON", {
+    transform: (doc, ret) => {
+      delete ret.password;
+      return ret;
+    }
+  });
+}
+
 // ✅ Campus Schema
 const campusSchema = new mongoose.Schema({
   name: { type: String, required: true },
   normalizedName: { type: String, lowercase: true }, // auto-generated
   address: { type: String, required: true },
   logo: { type: String },
+  logoVariants: { thumb: String, medium: String }, // resized copies (IMAGE_VARIANTS.logo)
+  logoFile: { storage: String, publicId: String }, // where the logo is stored, to remove it when replaced
   email: { type: String, required: true, unique: true },
-  password: { type: String, required: true }, // stored as plain text now
+  password: { type: String, required: true }, // bcrypt hash
+  status: { type: String, enum: ["active", "archived"], default: "active" },
+  archivedAt: { type: Date },
 }, { timestamps: true });
 
 // Auto-generate normalizedName
@@ -106,7 +991,11 @@ const districtSchema = new mongoose.Schema({
   campus: { type: mongoose.Schema.Types.ObjectId, ref: "Campus", required: true }, 
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true }, 
-  logo: { type: String }
+  logo: { type: String },
+  logoVariants: { thumb: String, medium: String }, // resized copies (IMAGE_VARIANTS.logo)
+  logoFile: { storage: String, publicId: String }, // where the logo is stored, to remove it when replaced
+  status: { type: String, enum: ["active", "archived"], default: "active" },
+  archivedAt: { type: Date }
 }, { timestamps: true });
 
 districtSchema.pre("save", function (next) {
@@ -118,14 +1007,21 @@ districtSchema.pre("save", function (next) {
 
 
 // ✅ Community Schema
+// Names double as login identifiers, so like every level they are unique case-insensitively
+// through normalizedName, checked on register and update. The old case-sensitive unique
+// index on name (name_1) is dropped at startup.
 const communitySchema = new mongoose.Schema({
-  name: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
   normalizedName: { type: String, lowercase: true }, // auto-generated
   district: { type: mongoose.Schema.Types.ObjectId, ref: "District", required: true },
   leader: { type: String, required: true },
   leaderPhone: { type: String, required: true },
   password: { type: String, required: true },
-  logo: String, // Cloudinary URL
+  logo: String, // stored image URL
+  logoVariants: { thumb: String, medium: String }, // resized copies (IMAGE_VARIANTS.logo)
+  logoFile: { storage: String, publicId: String }, // where the logo is stored, to remove it when replaced
+  status: { type: String, enum: ["active", "archived"], default: "active" },
+  archivedAt: { type: Date },
 }, { timestamps: true });
 
 communitySchema.pre("save", function (next) {
@@ -146,9 +1042,13 @@ const cellSchema = new mongoose.Schema({
   leader: { type: String, required: true },
   phone: { type: String, required: true },
   email: { type: String, required: true, unique: true },
-  password: { type: String, required: true }, // plain since no bcrypt
+  password: { type: String, required: true }, // bcrypt hash
   logo: { type: String },
-  dateRegistered: { type: Date, default: Date.now }
+  logoVariants: { thumb: String, medium: String }, // resized copies (IMAGE_VARIANTS.logo)
+  logoFile: { storage: String, publicId: String }, // where the logo is stored, to remove it when replaced
+  dateRegistered: { type: Date, default: Date.now },
+  status: { type: String, enum: ["active", "archived"], default: "active" },
+  archivedAt: { type: Date }
 }, { timestamps: true });
 
 // Auto-generate normalizedName
@@ -159,21 +1059,164 @@ cellSchema.pre("save", function (next) {
   next();
 });
 
+// ✅ Member history entry (joined / transferred / updated / deactivated / reactivated)
+const memberHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["joined", "transferred", "updated", "deactivated", "reactivated", "merged"],
+    required: true
+  },
+  cell: { type: mongoose.Schema.Types.ObjectId, ref: "Cell" },     // cell after the action
+  fromCell: { type: mongoose.Schema.Types.ObjectId, ref: "Cell" }, // transfers only
+  changes: { type: mongoose.Schema.Types.Mixed },                   // updates: { field: { from, to } }; merges: { mergedMember }
+  note: { type: String },
+  by: {
+    role: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  },
+  date: { type: Date, default: Date.now }
+}, { _id: false });
+
 const memberSchema = new mongoose.Schema({
   fullName: { type: String, required: true },
   address: { type: String, required: true },
   phone: { type: String, required: true },
+  normalizedPhone: { type: String, index: true }, // auto-generated, for duplicate detection
   email: { type: String, required: true, unique: true },
   district: { type: mongoose.Schema.Types.ObjectId, ref: "District", required: true },
   cell: { type: mongoose.Schema.Types.ObjectId, ref: "Cell", required: true },
+  status: { type: String, enum: ["active", "inactive"], default: "active" },
+  history: [memberHistorySchema],
   createdAt: { type: Date, default: Date.now }
 });
 
+// Auto-generate normalizedPhone
+memberSchema.pre("save", function (next) {
+  if (this.phone) {
+    this.normalizedPhone = normalizePhone(this.phone);
+  }
+  next();
+});
+
+// ✅ Possible duplicate members awaiting review (one document per pair)
+const duplicateCandidateSchema = new mongoose.Schema({
+  members: [{ type: mongoose.Schema.Types.ObjectId, ref: "Member" }], // sorted pair
+  pairKey: { type: String, required: true, unique: true },            // "idA:idB"
+  reasons: [{ type: String, enum: ["phone", "name"] }],
+  score: { type: Number, default: 0 },                                  // name similarity 0–1
+  status: { type: String, enum: ["pending", "merged", "dismissed"], default: "pending" },
+  resolvedBy: {
+    role: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  },
+  resolvedAt: { type: Date }
+}, { timestamps: true });
+
+// ✅ Cell meeting with attendance
+const meetingSchema = new mongoose.Schema({
+  cell: { type: mongoose.Schema.Types.ObjectId, ref: "Cell", required: true },
+  date: { type: Date, required: true },
+  topic: { type: String, required: true },
+  location: { type: String, default: "" },
+  notes: { type: String, default: "" },
+  attendees: [{ type: mongoose.Schema.Types.ObjectId, ref: "Member" }],
+  guests: [{
+    fullName: { type: String, required: true },
+    phone: { type: String },
+    email: { type: String },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Member" }
+  }],
+  recordedBy: {
+    role: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  }
+}, { timestamps: true });
+
+meetingSchema.index({ cell: 1, date: -1 });
+meetingSchema.index({ attendees: 1 });
+
+// ✅ Weekly cell report (one per cell per week; hierarchy copied for roll-ups)
+const cellReportSchema = new mongoose.Schema({
+  cell: { type: mongoose.Schema.Types.ObjectId, ref: "Cell", required: true },
+  community: { type: mongoose.Schema.Types.ObjectId, ref: "Community", required: true },
+  district: { type: mongoose.Schema.Types.ObjectId, ref: "District", required: true },
+  campus: { type: mongoose.Schema.Types.ObjectId, ref: "Campus", required: true },
+  weekStart: { type: Date, required: true }, // Monday 00:00 UTC
+  attendance: { type: Number, min: 0, default: 0 },
+  newConverts: { type: Number, min: 0, default: 0 },
+  firstTimers: { type: Number, min: 0, default: 0 },
+  testimonies: [{ type: String }],
+  prayerRequests: [{ type: String }],
+  notes: { type: String, default: "" },
+  submittedBy: {
+    role: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  }
+}, { timestamps: true });
+
+cellReportSchema.index({ cell: 1, weekStart: -1 }, { unique: true });
+cellReportSchema.index({ campus: 1, weekStart: -1 });
+cellReportSchema.index({ district: 1, weekStart: -1 });
+cellReportSchema.index({ community: 1, weekStart: -1 });
+
+// ✅ Cell inactivity alert (regenerated by the alert job)
+const cellAlertSchema = new mongoose.Schema({
+  cell: { type: mongoose.Schema.Types.ObjectId, ref: "Cell", required: true },
+  community: { type: mongoose.Schema.Types.ObjectId, ref: "Community" },
+  district: { type: mongoose.Schema.Types.ObjectId, ref: "District" },
+  campus: { type: mongoose.Schema.Types.ObjectId, ref: "Campus" },
+  type: { type: String, enum: ["no_report", "no_meeting", "no_new_members"], required: true },
+  lastActivity: { type: Date, default: null }, // null = never
+  weeksInactive: { type: Number, default: null },
+  generatedAt: { type: Date, default: Date.now }
+});
+
+cellAlertSchema.index({ campus: 1, district: 1, community: 1 });
+cellAlertSchema.index({ cell: 1, type: 1 }, { unique: true }); // one alert per cell and kind
+
+// ✅ Event (service, outreach, training…) owned by one hierarchy node. Everyone below the
+// owner sees it. Times are stored in UTC; recurrence repeats the start time every `interval`
+// units until `until` or for `count` occurrences (both unset = forever).
+const eventSchema = new mongoose.Schema({
+  ownerLevel: { type: String, enum: ["campus", "district", "community", "cell"], required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, required: true },
+  ownerName: { type: String, default: "" },
+
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  category: { type: String, enum: ["service", "outreach", "training", "meeting", "other"], default: "other" },
+  description: { type: String, trim: true, maxlength: 5000, default: "" },
+  location: { type: String, trim: true, maxlength: 500, default: "" },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date }, // unset = startsAt + 1 hour (or the whole day when allDay)
+  allDay: { type: Boolean, default: false },
+  recurrence: {
+    freq: { type: String, enum: ["none", "daily", "weekly", "monthly", "yearly"], default: "none" },
+    interval: { type: Number, min: 1, default: 1 },
+    until: { type: Date },
+    count: { type: Number, min: 1 }
+  },
+  cover: {
+    url: String,
+    storage: String,
+    publicId: String,
+    variants: { thumb: String, banner: String } // IMAGE_VARIANTS.cover
+  },
+
+  status: { type: String, enum: ["scheduled", "cancelled"], default: "scheduled" },
+  createdBy: { role: String, id: mongoose.Schema.Types.ObjectId }
+}, { timestamps: true });
+
+eventSchema.index({ ownerLevel: 1, owner: 1, startsAt: 1 });
+
 // ✅ SuperAdmin Schema (auto-generate normalizedName)
 const superAdminSchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true },
   normalizedName: { type: String, lowercase: true }, // not required anymore
+  email: { type: String, lowercase: true, trim: true }, // optional, for password recovery
   password: { type: String, required: true },
+  level: { type: String, enum: ["super", "standard"], default: "super" }, // only "super" manages admins
+  status: { type: String, enum: ["invited", "active", "disabled"], default: "active" },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "SuperAdmin" },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -185,893 +1228,4770 @@ superAdminSchema.pre("save", function (next) {
   next();
 });
 
+// ✅ Password reset tokens (only a SHA-256 of the token is stored)
+const passwordResetSchema = new mongoose.Schema({
+  role: { type: String, enum: ["campus", "district", "community", "cell", "superadmin"], required: true },
+  account: { type: mongoose.Schema.Types.ObjectId, required: true },
+  purpose: { type: String, enum: ["reset", "invite"], default: "reset" },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Mongo removes expired tokens on its own
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ✅ Admin audit trail (who did what to which super admin)
+const adminAuditSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "SuperAdmin" }, // null for system actions
+  actorName: { type: String, default: "system" },
+  action: { type: String, required: true }, // bootstrap | create | invite | resend-invite | disable | enable | demote | promote
+  target: { type: mongoose.Schema.Types.ObjectId, ref: "SuperAdmin" },
+  targetName: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// 🔐 Hashed passwords for every account type
+[campusSchema, districtSchema, communitySchema, cellSchema, superAdminSchema]
+  .forEach(schema => schema.plugin(passwordPlugin));
+
 // ---------- Mongoose Models ---------
-const Image = mongoose.model("Image", ImageSchema);
+const Image = mongoose.model("Image", ImageSchema); // legacy, read by migrateImagesToPosts() only
+const Post = mongoose.model("Post", postSchema);
+const Comment = mongoose.model("Comment", commentSchema);
+const Like = mongoose.model("Like", likeSchema);
+const Report = mongoose.model("Report", reportSchema);
 const Campus = mongoose.model("Campus", campusSchema);
 const District = mongoose.model("District", districtSchema);
 const Cell = mongoose.model("Cell",cellSchema);
 const Member = mongoose.model("Member",memberSchema);
+const DuplicateCandidate = mongoose.model("DuplicateCandidate", duplicateCandidateSchema);
 const Community= mongoose.model("Community", communitySchema);
 const SuperAdmin = mongoose.model("SuperAdmin", superAdminSchema);
-// ---------- Routes ----------
-
-// Health probe
-app.get("/health", (req, res) => {
-  res.json({ ok: true, uptime: process.uptime() });
+const PasswordReset = mongoose.model("PasswordReset", passwordResetSchema);
+const AdminAudit = mongoose.model("AdminAudit", adminAuditSchema);
+const Meeting = mongoose.model("Meeting", meetingSchema);
+const CellReport = mongoose.model("CellReport", cellReportSchema);
+const CellAlert = mongoose.model("CellAlert", cellAlertSchema);
+const Event = mongoose.model("Event", eventSchema);
+
+// ---------- Auth (JWT sessions) ----------
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "1h";
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || "7d";
+
+if (!JWT_SECRET) {
+  console.error("❌ JWT_SECRET is not set");
+  process.exit(1);
+}
+
+// role → model used to reload the account behind a token
+const ROLE_MODELS = {
+  campus: Campus,
+  district: District,
+  community: Community,
+  cell: Cell,
+  superadmin: SuperAdmin
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const passwordRule = Joi.string().min(MIN_PASSWORD_LENGTH).max(200).messages({
+  "string.min": `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
 });
+const loginBody = Joi.object({
+  identifier: Joi.string().trim().max(200).required(),
+  password: Joi.string().required()
+});
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 30;
+const APP_URL = process.env.APP_URL || "https://harvesters-hub.vercel.app";
+
+// Find an account of any role by email or (normalized) name, in login priority order
+async function findAccountByIdentifier(identifier) {
+  identifier = String(identifier).trim().toLowerCase();
+  const byEmailOrName = { $or: [{ email: identifier }, { normalizedName: identifier }] };
+
+  for (const role of ["campus", "district", "community", "cell", "superadmin"]) {
+    const user = await ROLE_MODELS[role].findOne(byEmailOrName);
+    if (user) return { user, role };
+  }
+  return { user: null, role: "" };
+}
+
+// Disabled, archived or not-yet-accepted accounts can't sign in
+const canSignIn = account => !account.status || account.status === "active";
+
+// Create a single-use token for an account; only the newest one per purpose stays valid
+async function createAccountToken(role, account, purpose, ttlMinutes) {
+  await PasswordReset.deleteMany({ role, account: account._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await PasswordReset.create({
+    role,
+    account: account._id,
+    purpose,
+    tokenHash: crypto.createHash("sha256").update(token).digest("hex"),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  return token;
+}
+
+// Record an admin-management action
+function audit(actor, action, target, details) {
+  return AdminAudit.create({
+    actor: actor?._id,
+    actorName: actor?.name || "system",
+    action,
+    target: target?._id,
+    targetName: target?.name,
+    details
+  });
+}
+
+// Create the first super admin from env, once, when the collection is empty.
+//   SUPERADMIN_NAME, SUPERADMIN_PASSWORD, SUPERADMIN_EMAIL (optional)
+async function bootstrapSuperAdmin() {
+  const { SUPERADMIN_NAME, SUPERADMIN_PASSWORD, SUPERADMIN_EMAIL } = process.env;
+
+  if (await SuperAdmin.exists({})) return;
+  if (!SUPERADMIN_NAME || !SUPERADMIN_PASSWORD) {
+    console.warn("⚠️ No super admin exists; set SUPERADMIN_NAME and SUPERADMIN_PASSWORD to create one");
+    return;
+  }
+
+  const name = SUPERADMIN_NAME.trim().replace(/\s+/g, " ");
+  const superAdmin = await SuperAdmin.create({
+    name,
+    normalizedName: name.toLowerCase(),
+    email: SUPERADMIN_EMAIL,
+    password: SUPERADMIN_PASSWORD,
+    level: "super",
+    status: "active"
+  });
+  await audit(null, "bootstrap", superAdmin);
+  console.log(`👑 Bootstrapped super admin "${superAdmin.name}"`);
+}
+
+// Super-admin-only routes that manage other admins: re-checks the live account
+async function requireSuperLevel(req, res, next) {
+  try {
+    const admin = await SuperAdmin.findById(req.auth.id);
+    if (!admin || !canSignIn(admin) || admin.level !== "super") {
+      return sendError(res, 403, "Not authorized");
+    }
+    req.admin = admin;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Where to deliver messages for an account
+function contactOf(role, account) {
+  if (role === "community") return { phone: account.leaderPhone };
+  return { email: account.email, phone: account.phone };
+}
+
+// Build the hierarchy scope for an account: the ids of itself and every ancestor.
+// Superadmins get an empty scope (no restriction).
+async function buildScope(role, account) {
+  switch (role) {
+    case "campus":
+      return { campus: String(account._id) };
+    case "district":
+      return { campus: String(account.campus?._id || account.campus), district: String(account._id) };
+    case "community": {
+      const districtId = account.district?._id || account.district;
+      const district = await District.findById(districtId).select("campus");
+      return {
+        campus: district ? String(district.campus) : undefined,
+        district: String(districtId),
+        community: String(account._id)
+      };
+    }
+    case "cell":
+      return {
+        campus: String(account.campus?._id || account.campus),
+        district: String(account.district?._id || account.district),
+        community: String(account.community?._id || account.community),
+        cell: String(account._id)
+      };
+    default:
+      return {};
+  }
+}
+
+// Issue an access + refresh token pair for a freshly authenticated account
+async function issueSession(role, account) {
+  const scope = await buildScope(role, account);
+  const sub = String(account._id);
+
+  const token = jwt.sign({ sub, role, scope }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const refreshToken = jwt.sign({ sub, role, type: "refresh" }, JWT_REFRESH_SECRET, { expiresIn: REFRESH_TOKEN_TTL });
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// Sessions started before the last password change are void. JWT iat is in whole seconds,
+// so compare in seconds: a token issued in the same second as the change stays valid.
+function issuedBeforePasswordChange(account, payload) {
+  return Boolean(account.passwordChangedAt) &&
+    Math.floor(account.passwordChangedAt.getTime() / 1000) > payload.iat;
+}
+
+// Require a valid access token; exposes { id, role, scope } as req.auth.
+// The account is re-read on every request so disabling it or changing its password
+// takes effect immediately instead of when the access token expires. The scope is rebuilt
+// from it too: the one in the token goes stale when the node is moved in the hierarchy.
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return sendError(res, 401, "Authentication required", { code: "AUTH_REQUIRED" });
+  }
 
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return err.name === "TokenExpiredError"
+      ? sendError(res, 401, "Token expired", { code: "TOKEN_EXPIRED" })
+      : sendError(res, 401, "Invalid token", { code: "INVALID_TOKEN" });
+  }
+  // refresh and device tokens are not access tokens
+  if (payload.type || !ROLE_MODELS[payload.role]) {
+    return sendError(res, 401, "Invalid token", { code: "INVALID_TOKEN" });
+  }
 
-// Upload route (images + videos, multiple files, one comment)
-app.post("/api/upload", upload.array("files"), async (req, res) => {
   try {
-    const {
-      comment,
-      uploaderId,
-      uploaderRole,
-      uploaderName,
-      uploaderLogo
-    } = req.body;
+    const account = await ROLE_MODELS[payload.role].findById(payload.sub)
+      .select("status passwordChangedAt campus district community");
+    if (!account) {
+      return sendError(res, 401, "Account no longer exists", { code: "INVALID_TOKEN" });
+    }
+    if (!canSignIn(account)) {
+      return sendError(res, 401, "Account is disabled", { code: "ACCOUNT_DISABLED" });
+    }
+    if (issuedBeforePasswordChange(account, payload)) {
+      return sendError(res, 401, "Password changed, please log in again", { code: "TOKEN_EXPIRED" });
+    }
 
-    if (!uploaderId || !uploaderRole || !uploaderName || !uploaderLogo) {
-      return res.status(400).json({ success: false, error: "Uploader info missing" });
+    req.auth = { id: payload.sub, role: payload.role, scope: await buildScope(payload.role, account) };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Like authenticate, but lets anonymous requests through (req.auth stays undefined).
+// A token that is present but invalid is still rejected.
+function optionalAuthenticate(req, res, next) {
+  if (!req.headers.authorization) return next();
+  authenticate(req, res, next);
+}
+
+// Restrict a route to the given roles (use after authenticate).
+// The role comes from the token, but authenticate has already re-read that account and
+// refused it if it was disabled, so a disabled superadmin loses access on the next request.
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return sendError(res, 403, "Not authorized");
     }
+    next();
+  };
+}
+
+// True when every hierarchy id the caller is pinned to matches the target's.
+// e.g. a district leader may only act on targets whose `district` is their own.
+function withinScope(auth, target) {
+  return Object.entries(auth.scope || {}).every(([level, id]) =>
+    target[level] === undefined || target[level] === null || String(target[level]) === String(id)
+  );
+}
+
+// Mongo filter limiting a collection to what the caller may see
+async function scopeFilter(auth, level) {
+  const { role, scope } = auth;
+  if (role === "superadmin") return {};
+
+  switch (level) {
+    case "campus":
+      return { _id: scope.campus };
+
+    case "district":
+      if (role === "campus") return { campus: scope.campus };
+      return { _id: scope.district };
+
+    case "community":
+      if (role === "campus") {
+        const districts = await District.find({ campus: scope.campus }).select("_id");
+        return { district: { $in: districts.map(d => d._id) } };
+      }
+      if (role === "district") return { district: scope.district };
+      return { _id: scope.community };
 
-    const savedDocs = await Promise.all(
-      req.files.map(file => {
-        const isVideo = file.mimetype.startsWith("video");
-        const newImage = new Image({
-          url: file.path,
-          type: isVideo ? "video" : "image",
-          comments: comment,
-          likes: 0,
-          likedBy: [],
-          uploaderId,
-          uploaderRole,
-          uploaderName,
-          uploaderLogo
-        });
-        return newImage.save();
-      })
-    );
+    case "cell":
+      if (role === "cell") return { _id: scope.cell };
+      return { [role]: scope[role] };
 
-    res.json({
-      success: true,
-      message: "Files uploaded successfully ✅",
-      files: savedDocs
+    case "member":
+      if (role === "community") {
+        const cells = await Cell.find({ community: scope.community }).select("_id");
+        return { cell: { $in: cells.map(c => c._id) } };
+      }
+      if (role === "campus") {
+        const districts = await District.find({ campus: scope.campus }).select("_id");
+        return { district: { $in: districts.map(d => d._id) } };
+      }
+      return { [role]: scope[role] };
+
+    default:
+      return { _id: null };
+  }
+}
+
+// ---------- Hierarchy helpers ----------
+// Campus → District → Community → Cell
+const HIERARCHY_LEVELS = ["campus", "district", "community", "cell"];
+const ROLE_RANK = { superadmin: 0, campus: 1, district: 2, community: 3, cell: 4 };
+
+// Fields each level lets you edit through PUT (parents change through "move")
+const EDITABLE_FIELDS = {
+  campus: ["name", "address", "email"],
+  district: ["name", "email"],
+  community: ["name", "leader", "leaderPhone"],
+  cell: ["name", "address", "leader", "phone", "email"]
+};
+
+// Rules for those fields; blank values are ignored by the update, so they're allowed here
+const NODE_FIELD_RULES = {
+  name: rules.name,
+  address: Joi.string().trim().max(500),
+  email: rules.email,
+  leader: rules.name,
+  leaderPhone: rules.phone,
+  phone: rules.phone
+};
+
+const nodeUpdateBody = level => Joi.object(Object.fromEntries(
+  EDITABLE_FIELDS[level].map(field => [field, NODE_FIELD_RULES[field].allow("")])
+));
+
+const LEVEL_LABELS = { campus: "Campus", district: "District", community: "Community", cell: "Cell" };
+
+// { campus, district, community, cell } ids a node belongs to (including itself)
+async function hierarchyOf(level, node) {
+  switch (level) {
+    case "campus":
+      return { campus: node._id };
+    case "district":
+      return { campus: node.campus, district: node._id };
+    case "community": {
+      const district = await District.findById(node.district).select("campus");
+      return { campus: district?.campus, district: node.district, community: node._id };
+    }
+    case "cell":
+      return { campus: node.campus, district: node.district, community: node.community, cell: node._id };
+  }
+}
+
+// Filters selecting every descendant of a node, per level below it
+async function descendantFilters(level, id) {
+  switch (level) {
+    case "campus": {
+      const districts = await District.find({ campus: id }).select("_id");
+      const districtIds = districts.map(d => d._id);
+      return {
+        district: { campus: id },
+        community: { district: { $in: districtIds } },
+        cell: { campus: id }
+      };
+    }
+    case "district":
+      return { community: { district: id }, cell: { district: id } };
+    case "community":
+      return { cell: { community: id } };
+    default:
+      return {};
+  }
+}
+
+// May the caller manage this node? Superadmins always; others only inside their own subtree,
+// and never a level above themselves. `strict` excludes the caller's own node (e.g. archiving yourself).
+async function canManageNode(auth, level, node, { strict = false } = {}) {
+  if (auth.role === "superadmin") return true;
+  const rank = ROLE_RANK[auth.role];
+  const nodeRank = ROLE_RANK[level];
+  if (rank === undefined || (strict ? rank >= nodeRank : rank > nodeRank)) return false;
+  return withinScope(auth, await hierarchyOf(level, node));
+}
+
+// Resolve a community's full ancestry, checking every link exists and is active.
+// Returns { campus, district, community } documents or { error }.
+async function resolveCommunityChain(communityId) {
+  if (!mongoose.Types.ObjectId.isValid(communityId)) return { error: "Invalid community ID" };
+
+  const community = await Community.findById(communityId);
+  if (!community) return { error: "Community not found" };
+
+  const district = await District.findById(community.district);
+  if (!district) return { error: "Community's district no longer exists" };
+
+  const campus = await Campus.findById(district.campus);
+  if (!campus) return { error: "District's campus no longer exists" };
+
+  const archived = [community, district, campus].find(node => node.status === "archived");
+  if (archived) return { error: `${archived.name} is archived` };
+
+  return { campus, district, community };
+}
+
+// Transactions need a replica set or mongos (Atlas always has one). A standalone mongod
+// (typical for local development) refuses them with IllegalOperation (code 20); then the
+// work runs without a session, so multi-document writes are no longer all-or-nothing.
+// Run a single-node replica set (mongod --replSet rs0, then rs.initiate()) to keep them.
+const ILLEGAL_OPERATION = 20;
+let transactionsUnsupported = false;
+
+// Run writes in a MongoDB transaction. `work` gets the session (null in the fallback) and
+// must pass it to every query.
+async function runInTransaction(work) {
+  if (transactionsUnsupported) return work(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
     });
-  } catch (error) {
-    console.error("Upload error:", error);
-    res.status(500).json({ success: false, error: "Upload failed ❌" });
+    return result;
+  } catch (err) {
+    if (err.code !== ILLEGAL_OPERATION) throw err;
+    // The first statement of the transaction was refused, so nothing was written yet
+    transactionsUnsupported = true;
+    console.warn("⚠️ MongoDB does not support transactions here (not a replica set); running without them:", err.message);
+    return work(null);
+  } finally {
+    await session.endSession();
   }
+}
+
+// Lists hide archived nodes unless ?includeArchived=true
+const activeFilter = req => (req.query.includeArchived === "true" ? {} : { status: { $ne: "archived" } });
+
+// Query accepted by the hierarchy list endpoints
+const listQuery = Joi.object({
+  campusId: rules.id,
+  districtId: rules.id,
+  communityId: rules.id,
+  includeArchived: rules.flag
 });
 
-// GET all uploads
-app.get("/api/uploads", async (req, res) => {
+// Filter behind the hierarchy list endpoints (and their exports): parent params
+// (?campusId= / ?districtId= / ?communityId=), the caller's scope and activeFilter
+async function listFilter(req, level) {
+  const { campusId, districtId, communityId } = req.query;
+  const filter = {};
+
+  if (level === "district" && campusId) filter.campus = campusId;
+  if (level === "community") {
+    if (districtId) filter.district = districtId;
+    if (campusId) {
+      const districts = await District.find({ campus: campusId }).select("_id");
+      filter.district = { $in: districts.map(d => d._id) };
+    }
+  }
+  if (level === "cell") {
+    if (campusId) filter.campus = campusId;
+    if (districtId) filter.district = districtId;
+    if (communityId) filter.community = communityId;
+  }
+
+  return { $and: [filter, await scopeFilter(req.auth, level), activeFilter(req)] };
+}
+
+// ---------- Pagination / search helpers ----------
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Opaque cursor = base64url({ v: last sort value, id: last _id })
+function encodeCursor(doc, field) {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+  return Buffer.from(JSON.stringify({ v: value, id: String(doc._id) })).toString("base64url");
+}
+
+// Filter selecting documents after the cursor for a { field: dir, _id: dir } sort.
+// Returns null for a malformed cursor.
+function cursorFilter(cursor, field, dir, { isDate = false } = {}) {
   try {
-    const uploads = await Image.find().sort({ createdAt: -1 });
-    res.json({ success: true, data: uploads });
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    const value = isDate ? new Date(v) : v;
+    const op = dir === 1 ? "$gt" : "$lt";
+    return {
+      $or: [
+        { [field]: { [op]: value } },
+        { [field]: value, _id: { [op]: new mongoose.Types.ObjectId(id) } }
+      ]
+    };
   } catch (err) {
-    console.error("Error fetching uploads:", err);
-    res.status(500).json({ success: false, message: "Failed to fetch uploads" });
+    return null;
   }
+}
+
+// "?sort=-createdAt" → { field: "createdAt", dir: -1 } (restricted to `allowed`)
+function parseSort(raw, allowed, fallback) {
+  const value = raw || fallback;
+  const dir = value.startsWith("-") ? -1 : 1;
+  const field = value.replace(/^-/, "");
+  return allowed.includes(field) ? { field, dir } : null;
+}
+
+const parseLimit = (raw, fallback = 50, max = 200) =>
+  Math.min(Math.max(parseInt(raw, 10) || fallback, 1), max);
+
+// ---------- Routes ----------
+
+// Health probe
+app.get("/health", (req, res) => {
+  res.json({ ok: true, uptime: process.uptime() });
 });
 
-// POST: like/unlike by Mongo _id
-app.post("/api/uploads/:id/like", async (req, res) => {
+// --------------------------------------------------
+// Refresh session (exchange refresh token for a new pair)
+// --------------------------------------------------
+app.post("/api/auth/refresh", validate({
+  body: Joi.object({ refreshToken: Joi.string().required() })
+}), async (req, res) => {
   try {
-    const { deviceId } = req.body;
-    if (!deviceId) return res.status(400).json({ error: "deviceId required" });
+    const { refreshToken } = req.body;
 
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: "Invalid image ID" });
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+    } catch (err) {
+      return sendError(res, 401, "Invalid or expired refresh token", { code: "INVALID_TOKEN" });
+    }
+    if (payload.type !== "refresh" || !ROLE_MODELS[payload.role]) {
+      return sendError(res, 401, "Invalid refresh token", { code: "INVALID_TOKEN" });
     }
 
-    const image = await Image.findById(id);
-    if (!image) return res.status(404).json({ error: "Image not found" });
-
-    const already = image.likedBy.includes(deviceId);
-    if (already) {
-      image.likes = Math.max(0, image.likes - 1);
-      image.likedBy = image.likedBy.filter(d => d !== deviceId);
-    } else {
-      image.likes += 1;
-      image.likedBy.push(deviceId);
+    // Reload the account so deleted accounts can't keep refreshing
+    const account = await ROLE_MODELS[payload.role].findById(payload.sub);
+    if (!account) {
+      return sendError(res, 401, "Account no longer exists");
+    }
+    if (!canSignIn(account)) {
+      return sendError(res, 401, "Account is disabled", { code: "ACCOUNT_DISABLED" });
     }
 
-    // ✅ Skip validation for like/unlike updates
-    await image.save({ validateBeforeSave: false });
+    if (issuedBeforePasswordChange(account, payload)) {
+      return sendError(res, 401, "Password changed, please log in again", { code: "TOKEN_EXPIRED" });
+    }
 
-    res.json({ likes: image.likes, liked: !already });
+    const session = await issueSession(payload.role, account);
+    res.json({ success: true, role: payload.role, ...session });
   } catch (err) {
-    console.error("Like/unlike error:", err);
-    res.status(500).json({ error: "Server error" });
+    console.error("Refresh error:", err);
+    sendServerError(res, err);
   }
 });
 
-// ✅ Single Post View Route (use Image model)
-app.get("/api/uploads/:id", async (req, res) => {
+// Current session info
+app.get("/api/auth/me", authenticate, (req, res) => {
+  res.json({ success: true, data: req.auth });
+});
+
+// --------------------------------------------------
+// Change password (logged-in account)
+// --------------------------------------------------
+app.post("/api/auth/change-password", authenticate, validate({
+  body: Joi.object({ currentPassword: Joi.string().required(), newPassword: passwordRule.required() })
+}), async (req, res) => {
   try {
-    const { id } = req.params;
-    const image = await Image.findById(id);  // <-- use Image model
+    const { currentPassword, newPassword } = req.body;
 
-    if (!image) {
-      return res.status(404).json({ success: false, message: "Post not found" });
+    const account = await ROLE_MODELS[req.auth.role].findById(req.auth.id);
+    if (!account) {
+      return sendError(res, 404, "Account not found");
+    }
+    if (!(await account.verifyPassword(currentPassword))) {
+      return sendError(res, 400, "Current password is incorrect", { code: "INVALID_CREDENTIALS" });
     }
 
-    res.json({
-      success: true,
-      data: {
-        _id: image._id,
-        url: image.url,
-        comments: image.comments,
-        likes: image.likes,
-        likedBy: image.likedBy,
-        createdAt: image.createdAt,
-        updatedAt: image.updatedAt,
-      }
-    });
-  } catch (error) {
-    console.error("❌ Error fetching post:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+    account.password = newPassword;
+    await account.save();
+
+    // Hand back a fresh session; older refresh tokens stop working
+    const session = await issueSession(req.auth.role, account);
+    res.json({ success: true, message: "Password changed successfully", ...session });
+  } catch (err) {
+    console.error("Change password error:", err);
+    sendServerError(res, err);
   }
 });
 
 // --------------------------------------------------
-// Register Campus
+// Forgot password (issue a single-use reset token)
 // --------------------------------------------------
-app.post("/api/campus/register", upload.single("logo"), async (req, res) => {
+app.post("/api/auth/forgot-password", validate({
+  body: Joi.object({ identifier: Joi.string().trim().max(200).required() })
+}), async (req, res) => {
+  // Same answer whether or not the account exists
+  const genericReply = {
+    success: true,
+    message: "If the account exists, reset instructions have been sent"
+  };
+
   try {
-    let { name, address, email, password } = req.body;
+    const { identifier } = req.body;
+
+    const { user, role } = await findAccountByIdentifier(identifier);
+    if (!user) return res.json(genericReply);
 
-    if (!name || !address || !email || !password) {
-      return res.status(400).json({ message: "All fields are required" });
+    const to = contactOf(role, user);
+    if (!to.email && !to.phone) {
+      console.warn(`Password reset requested for ${role} ${user._id} with no contact details`);
+      return res.json(genericReply);
     }
 
-    // ✅ Keep original for display
-    const displayName = name.trim().replace(/\s+/g, " ");
-
-    // ✅ Normalized for login & uniqueness
-    const normalizedName = displayName.toLowerCase();
-
-    address = address.trim().replace(/\s+/g, " ");
-    email = email.trim().toLowerCase();
-    password = password.trim();
-
-    // ✅ Check if campus already exists (email OR normalizedName)
-    const existing = await Campus.findOne({
-      $or: [{ email }, { normalizedName }]
-    });
-    if (existing) {
-      return res.status(400).json({ message: "Campus already exists" });
-    }
-
-    // ✅ Handle logo upload
-    let logoUrl = "";
-    if (req.file && req.file.path) {
-      logoUrl = req.file.path;
+    // Disabled accounts stay locked; invited ones must use their invite link
+    if (!canSignIn(user)) return res.json(genericReply);
+
+    const token = await createAccountToken(role, user, "reset", RESET_TOKEN_TTL_MINUTES);
+
+    // A delivery failure (e.g. an email notifier and a phone-only community) must not
+    // change the reply, or it would reveal that the account exists
+    try {
+      await notifier.send({
+        to,
+        subject: "Harvesters Hub password reset",
+        text:
+          `Hello ${user.name},\n\n` +
+          `Use this link to choose a new password (valid for ${RESET_TOKEN_TTL_MINUTES} minutes):\n` +
+          `${APP_URL}/reset-password.html?token=${token}\n\n` +
+          `If you didn't ask for this, you can ignore this message.`
+      });
+    } catch (err) {
+      console.error(`Password reset delivery failed for ${role} ${user._id}:`, err);
     }
 
-    const newCampus = new Campus({
-      name: displayName,        // readable name
-      normalizedName,           // stored for login matching
-      address,
-      email,
-      logo: logoUrl,
-      password, // ⚠️ consider hashing
-    });
-
-    await newCampus.save();
-
-    res.status(201).json({
-      success: true,
-      message: "Campus registered successfully",
-      campus: newCampus,
-    });
-  } catch (error) {
-    console.error("Campus register error:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
+    res.json(genericReply);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    sendServerError(res, err);
   }
 });
 
 // --------------------------------------------------
-// Login Campus
+// Reset password (consume reset token)
 // --------------------------------------------------
-app.post("/api/campus/login", async (req, res) => {
+app.post("/api/auth/reset-password", validate({
+  body: Joi.object({ token: Joi.string().hex().required(), newPassword: passwordRule.required() })
+}), async (req, res) => {
   try {
-    const { identifier, password } = req.body; // identifier = name OR email
-
-    if (!identifier || !password) {
-      return res.status(400).json({ message: "All fields are required" });
+    const { token, newPassword } = req.body;
+
+    // Atomically mark as used so a token can't be redeemed twice
+    const reset = await PasswordReset.findOneAndUpdate(
+      {
+        tokenHash: crypto.createHash("sha256").update(String(token)).digest("hex"),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!reset) {
+      return sendError(res, 400, "Reset link is invalid or has expired", { code: "INVALID_TOKEN" });
     }
 
-    const campus = await Campus.findOne({
-      $or: [{ email: identifier }, { name: identifier }],
-    });
-
-    if (!campus) {
-      return res.status(404).json({ message: "Campus not found" });
+    const account = await ROLE_MODELS[reset.role].findById(reset.account);
+    if (!account) {
+      return sendError(res, 404, "Account not found");
     }
 
-    if (campus.password !== password) {
-      return res.status(400).json({ message: "Invalid credentials" });
+    // Accepting an invite activates the account
+    if (reset.purpose === "invite" && account.status === "invited") {
+      account.status = "active";
+    } else if (!canSignIn(account)) {
+      return sendError(res, 403, "Account is disabled", { code: "ACCOUNT_DISABLED" });
     }
 
-    res.status(200).json({
-      success: true,
-      message: "Login successful",
-      campus,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    account.password = newPassword;
+    await account.save();
+
+    res.json({ success: true, message: "Password reset successfully, you can now log in" });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    sendServerError(res, err);
   }
 });
 
-// --------------------------------------------------
-// Get Campus (all or single)
-// --------------------------------------------------
-app.get("/api/campus/:id?", async (req, res) => {
-  try {
-    if (req.params.id) {
-      const campus = await Campus.findById(req.params.id);
-      if (!campus) return res.status(404).json({ success: false, message: "Campus not found" });
-      return res.json({ success: true, data: campus });
+
+// ======================
+// Posts: one caption + reactions over an ordered gallery of media
+// ======================
+const MAX_POST_MEDIA = 10;
+const POST_GROUP_WINDOW_MS = 5000;
+
+// Uploader roles whose posts wait in the moderation queue before going public, e.g. "cell,district"
+const PREMODERATED_ROLES = (process.env.PREMODERATED_ROLES || "")
+  .split(",")
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Posts from before moderation have no status
+const isPublished = post => !post.status || post.status === "published";
+
+// A post by id, or by the id of a legacy Image it absorbed (old shared links)
+async function findPost(id, projection) {
+  return (await Post.findById(id, projection)) || Post.findOne({ legacyImages: id }, projection);
+}
+
+// Unpublished posts are only visible to their uploader and super admins
+const canSeePost = (auth, post) => isPublished(post) || (Boolean(auth) && canEditPost(auth, post));
+
+// findPost for routes acting on a post (reactions, comments): to everyone else an
+// unpublished post doesn't exist
+async function findVisiblePost(req, id) {
+  const post = await findPost(id, "_id status uploaderRole uploaderId");
+  return post && canSeePost(req.auth, post) ? post : null;
+}
+
+// Fold legacy one-document-per-file uploads into Posts. Files saved by one request share
+// uploader and caption and were created within POST_GROUP_WINDOW_MS of the first.
+// Every step is idempotent, so an interrupted run just picks up where it stopped.
+async function migrateImagesToPosts() {
+  const images = Image.find({ migratedTo: { $exists: false } })
+    .sort({ uploaderId: 1, createdAt: 1, _id: 1 })
+    .cursor();
+
+  let group = [];
+  let posts = 0;
+  for await (const image of images) {
+    const first = group[0];
+    const sameRequest = first &&
+      String(first.uploaderId) === String(image.uploaderId) &&
+      (first.comments || "") === (image.comments || "") &&
+      image.createdAt - first.createdAt <= POST_GROUP_WINDOW_MS;
+    if (!sameRequest && group.length) {
+      await foldImagesIntoPost(group);
+      posts += 1;
+      group = [];
     }
+    group.push(image);
+  }
+  if (group.length) {
+    await foldImagesIntoPost(group);
+    posts += 1;
+  }
+  if (posts) console.log(`🗂️ Migrated legacy uploads into ${posts} post(s)`);
+}
+
+async function foldImagesIntoPost(images) {
+  const [first] = images;
+  const imageIds = images.map(image => image._id);
+
+  let post = await Post.findOne({ legacyImages: first._id });
+  if (!post) {
+    post = new Post({
+      media: images.map(image => ({ url: image.url, type: image.type })),
+      caption: first.comments || "",
+      uploaderId: first.uploaderId,
+      uploaderRole: first.uploaderRole,
+      uploaderName: first.uploaderName,
+      uploaderLogo: first.uploaderLogo,
+      legacyImages: imageIds,
+      createdAt: first.createdAt,
+      updatedAt: images[images.length - 1].updatedAt
+    });
+    await post.save({ timestamps: false });
+  }
 
-    const campuses = await Campus.find().sort({ createdAt: -1 });
-    res.json({ success: true, data: campuses });
-  } catch (error) {
-    console.error("Error fetching campus:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+  // Comments and likes move to the post; a device that liked several files keeps its earliest like
+  await Comment.updateMany({ upload: { $in: imageIds } }, { $set: { upload: post._id } });
+  const likes = await Like.find({ upload: { $in: imageIds } }).lean();
+  for (const like of likes) {
+    await Like.updateOne(
+      { upload: post._id, reactor: like.reactor || legacyReactor(like.deviceId) },
+      { $min: { createdAt: like.createdAt }, $max: { updatedAt: like.updatedAt }, $setOnInsert: { type: like.type || "like" } },
+      { upsert: true, timestamps: false }
+    );
   }
-});
+  await addLegacyLikes(post, images.flatMap(image => image.likedBy || []), first.createdAt);
+  await Like.deleteMany({ upload: { $in: imageIds } });
+  await Image.updateMany({ _id: { $in: imageIds } }, { $set: { migratedTo: post._id } });
+}
+
+// Set while runPostMigrations() is going: until then the feed is missing legacy uploads,
+// so feed reads wait for it (see awaitPostMigration)
+let postMigration = null;
+const POST_MIGRATION_WAIT_MS = 10000;
+
+// Likes first: it drops the old per-device index that folding images into posts would trip over
+function runPostMigrations() {
+  postMigration = migrateLikes()
+    .then(migrateImagesToPosts)
+    .catch(err => console.error("❌ Post migration failed:", err))
+    .finally(() => { postMigration = null; });
+  return postMigration;
+}
+
+// Holds a feed read until the post migration is done; past POST_MIGRATION_WAIT_MS the caller
+// gets 503 MIGRATION_IN_PROGRESS and retries later
+async function awaitPostMigration(req, res, next) {
+  if (!postMigration) return next();
+
+  let timer;
+  const finished = await Promise.race([
+    postMigration.then(() => true),
+    new Promise(resolve => { timer = setTimeout(resolve, POST_MIGRATION_WAIT_MS, false); })
+  ]);
+  clearTimeout(timer);
+  if (!finished) {
+    res.set("Retry-After", String(POST_MIGRATION_WAIT_MS / 1000));
+    return sendError(res, 503, "Posts are being migrated, try again shortly", { code: "MIGRATION_IN_PROGRESS" });
+  }
+  next();
+}
+
+// Likes used to be a likedBy array of client-chosen deviceIds on each post (plus a Like row per
+// device). Those ids were public and spoofable, so they become opaque "legacy:" reactors that
+// no current device can act as. Idempotent, like migrateImagesToPosts().
+function legacyReactor(deviceId) {
+  return `legacy:${crypto.createHash("sha256").update(String(deviceId)).digest("hex")}`;
+}
+
+async function addLegacyLikes(post, deviceIds, likedAt) {
+  for (const deviceId of new Set(deviceIds)) {
+    await Like.updateOne(
+      { upload: post._id, reactor: legacyReactor(deviceId) },
+      { $setOnInsert: { type: "like", createdAt: likedAt, updatedAt: likedAt } },
+      { upsert: true, timestamps: false }
+    );
+  }
+}
 
-// --------------------------------------------------
-// Register District (Refined)
-// --------------------------------------------------
-app.post("/api/district/register", upload.single("logo"), async (req, res) => {
+// Drop an index an earlier schema version created; fine if it is already gone
+async function dropIndexIfExists(model, name) {
+  await model.collection.dropIndex(name).catch(err => {
+    if (![26, 27].includes(err.code)) throw err; // 26/27: collection or index already gone
+  });
+}
+
+async function migrateLikes() {
+  await dropIndexIfExists(Like, "upload_1_deviceId_1");
+
+  const rows = Like.collection.find({ deviceId: { $exists: true } });
+  for await (const row of rows) {
+    await Like.collection.updateOne(
+      { _id: row._id },
+      { $set: { reactor: legacyReactor(row.deviceId), type: "like" }, $unset: { deviceId: "" } }
+    );
+  }
+
+  const posts = Post.collection.find({ likedBy: { $exists: true } }, { projection: { likedBy: 1, createdAt: 1 } });
+  let migrated = 0;
+  for await (const post of posts) {
+    await addLegacyLikes(post, post.likedBy || [], post.createdAt);
+    await Post.collection.updateOne({ _id: post._id }, { $unset: { likedBy: "", likes: "" } });
+    migrated += 1;
+  }
+  if (migrated) console.log(`❤️ Moved likes of ${migrated} post(s) into reaction records`);
+}
+
+// Upload route (images + videos, up to MAX_POST_MEDIA files, one caption) → one Post.
+// Limits: see MEDIA_KINDS / VIDEO_MAX_SECONDS.
+// The uploader is the signed-in account; uploader* form fields are optional and, when sent,
+// must describe that same account.
+app.post("/api/upload", authenticate, authorize("campus", "district", "cell"), mediaUpload.array("files", MAX_POST_MEDIA), discardMediaOnError, validate({
+  body: Joi.object({
+    comment: Joi.string().allow("").max(2000),
+    uploaderId: rules.id,
+    uploaderRole: Joi.string().valid("campus", "district", "cell"),
+    uploaderName: rules.name,
+    uploaderLogo: Joi.string().allow("")
+  })
+}), async (req, res) => {
   try {
-    let { name, campus, email, password } = req.body;
+    const { comment } = req.body;
 
-    if (!name || !campus || !email || !password) {
-      return res.status(400).json({ message: "All fields are required" });
+    const account = await ROLE_MODELS[req.auth.role].findById(req.auth.id).select("name logo logoVariants");
+    if (!account) {
+      return sendError(res, 401, "Account no longer exists", { code: "INVALID_TOKEN" });
     }
 
-    // ✅ Keep readable name
-    const cleanName = name.trim().replace(/\s+/g, " ");
-    // ✅ Normalized version for uniqueness & login
-    const normalizedName = cleanName.toLowerCase();
-    email = email.trim().toLowerCase();
-    password = password.trim();
-
-    // ✅ Check if campus exists
-    const campusExists = await Campus.findById(campus);
-    if (!campusExists) {
-      return res.status(400).json({ message: "Invalid campus ID" });
+    const uploader = {
+      uploaderId: String(account._id),
+      uploaderRole: req.auth.role,
+      uploaderName: account.name,
+      uploaderLogo: account.logo || ""
+    };
+    const mismatched = Object.keys(uploader).filter(field =>
+      req.body[field] !== undefined && req.body[field] !== uploader[field]
+    );
+    if (mismatched.length) {
+      return sendError(res, 403, "Uploader details don't match the signed-in account", {
+        code: "UPLOADER_MISMATCH",
+        details: mismatched.map(field => ({ field, in: "body", code: "any.invalid", message: `${field} doesn't match your account` }))
+      });
     }
 
-    // ✅ Check uniqueness (by email or normalizedName)
-    const existing = await District.findOne({
-      $or: [
-        { email },
-        { normalizedName }
-      ]
-    });
-    if (existing) {
-      return res.status(400).json({ message: "District already exists" });
+    if (!req.files?.length) {
+      return sendError(res, 400, "At least one file is required", {
+        code: "VALIDATION_FAILED",
+        details: [{ field: "files", in: "body", code: "any.required", message: "files is required" }]
+      });
     }
 
-    // ✅ Handle logo upload
-    let logoUrl = "";
-    if (req.file && req.file.path) {
-      logoUrl = req.file.path;
+    const limitError = mediaLimitError(req.files);
+    if (limitError) {
+      return sendError(res, 413, limitError);
     }
 
-    const newDistrict = new District({
-      name: cleanName,         // Display name
-      normalizedName,          // For login checks
-      campus,
-      email,
-      password, // ⚠️ still plain text — hash later
-      logo: logoUrl
+    // Media keep the order the files were sent in; the feed shows the logo's avatar-sized copy
+    const post = await Post.create({
+      media: req.files.map(mediaItemFromFile),
+      caption: comment || "",
+      ...uploader,
+      uploaderLogo: account.logoVariants?.thumb || uploader.uploaderLogo,
+      status: PREMODERATED_ROLES.includes(req.auth.role) ? "pending" : "published"
     });
 
-    await newDistrict.save();
-
     res.status(201).json({
       success: true,
-      message: "District registered successfully",
-      district: newDistrict
+      message: post.status === "pending"
+        ? "Files uploaded ✅ Your post will appear once a moderator approves it"
+        : "Files uploaded successfully ✅",
+      data: post
     });
   } catch (error) {
-    console.error("District registration error:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
+    console.error("Upload error:", error);
+    sendServerError(res, error);
   }
 });
 
-// --------------------------------------------------
-// Login District
-// --------------------------------------------------
-app.post("/api/district/login", async (req, res) => {
-  try {
-    const { identifier, password } = req.body; // identifier = name OR email
-
-    if (!identifier || !password) {
-      return res.status(400).json({ message: "All fields are required" });
-    }
+// ======================
+// Feed: GET /api/uploads
+// ======================
+// Query: uploaderRole, uploaderId, campus | district (everything uploaded inside that subtree),
+//        type (image|video), from, to (ISO dates), sort (recent|trending, default recent),
+//        limit (≤50, default 20), cursor (from the previous page's nextCursor)
+// Reply: { success, data: [post], nextCursor }; every post carries commentCount and its reaction summary
+//        (likes, reactions, myReaction, likedByMe – see Reactions below), trending ones also recentLikes
+//        and trendScore.
+// trending = (reactions in the last TRENDING_WINDOW_HOURS + 1) / (age in hours + 2)^1.5 over uploads
+// from the last TRENDING_MAX_AGE_DAYS (unless ?from= says otherwise). The cursor pins "now",
+// so scores don't shift between pages.
+const TRENDING_WINDOW_HOURS = parseInt(process.env.TRENDING_WINDOW_HOURS, 10) || 72;
+const TRENDING_MAX_AGE_DAYS = parseInt(process.env.TRENDING_MAX_AGE_DAYS, 10) || 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Uploader filter for everything posted by a campus or district and the nodes below it
+async function uploaderSubtreeFilter(level, id) {
+  const or = [{ uploaderRole: level, uploaderId: id }];
+  if (level === "campus") {
+    const districts = await District.find({ campus: id }).select("_id");
+    or.push({ uploaderRole: "district", uploaderId: { $in: districts.map(d => d._id) } });
+  }
+  const cells = await Cell.find({ [level]: id }).select("_id");
+  or.push({ uploaderRole: "cell", uploaderId: { $in: cells.map(c => c._id) } });
+  return { $or: or };
+}
+
+async function buildFeedFilter(query) {
+  const { uploaderRole, uploaderId, campus, district, type, from, to } = query;
+  const clauses = [{ status: { $in: ["published", null] } }];
+
+  if (uploaderRole) clauses.push({ uploaderRole });
+  if (uploaderId) clauses.push({ uploaderId: new mongoose.Types.ObjectId(uploaderId) });
+  if (campus) clauses.push(await uploaderSubtreeFilter("campus", new mongoose.Types.ObjectId(campus)));
+  if (district) clauses.push(await uploaderSubtreeFilter("district", new mongoose.Types.ObjectId(district)));
+  if (type) clauses.push({ "media.type": type }); // posts with at least one such item
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    clauses.push({ createdAt: range });
+  }
 
-    // Find district by email OR name
-    const district = await District.findOne({
-      $or: [{ email: identifier }, { name: identifier }]
-    }).populate("campus", "name email");
+  return { $and: clauses };
+}
 
-    if (!district) {
-      return res.status(404).json({ message: "District not found" });
+// Trending cursor = base64url({ v: score, id, at: reference time })
+function decodeTrendingCursor(cursor) {
+  try {
+    const { v, id, at } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof v !== "number" || !mongoose.Types.ObjectId.isValid(id) || isNaN(new Date(at))) return null;
+    return { v, id: new mongoose.Types.ObjectId(id), at: new Date(at) };
+  } catch (err) {
+    return null;
+  }
+}
+
+async function trendingPage(filter, { cursor, limit, from }) {
+  const at = cursor ? cursor.at : new Date();
+  const match = from ? filter : { $and: [filter, { createdAt: { $gte: new Date(at - TRENDING_MAX_AGE_DAYS * 24 * HOUR_MS) } }] };
+
+  const uploads = await Post.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: Like.collection.name,
+        let: { upload: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ["$upload", "$$upload"] },
+              createdAt: { $gte: new Date(at - TRENDING_WINDOW_HOURS * HOUR_MS), $lte: at }
+            }
+          },
+          { $count: "n" }
+        ],
+        as: "recent"
+      }
+    },
+    {
+      $addFields: {
+        recentLikes: { $ifNull: [{ $arrayElemAt: ["$recent.n", 0] }, 0] },
+        ageHours: { $max: [0, { $divide: [{ $subtract: [at, "$createdAt"] }, HOUR_MS] }] }
+      }
+    },
+    {
+      $addFields: {
+        trendScore: { $divide: [{ $add: ["$recentLikes", 1] }, { $pow: [{ $add: ["$ageHours", 2] }, 1.5] }] }
+      }
+    },
+    ...(cursor
+      ? [{ $match: { $or: [{ trendScore: { $lt: cursor.v } }, { trendScore: cursor.v, _id: { $lt: cursor.id } }] } }]
+      : []),
+    { $sort: { trendScore: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    { $project: { recent: 0, ageHours: 0 } }
+  ]);
+
+  const hasMore = uploads.length > limit;
+  const page = hasMore ? uploads.slice(0, limit) : uploads;
+  const last = page[page.length - 1];
+  return {
+    page,
+    nextCursor: hasMore
+      ? Buffer.from(JSON.stringify({ v: last.trendScore, id: String(last._id), at })).toString("base64url")
+      : null
+  };
+}
+
+async function recentPage(filter, { cursor, limit }) {
+  const pageFilter = cursor ? { $and: [filter, cursor] } : filter;
+  const uploads = await Post.find(pageFilter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean();
+
+  const hasMore = uploads.length > limit;
+  const page = hasMore ? uploads.slice(0, limit) : uploads;
+  return { page, nextCursor: hasMore ? encodeCursor(page[page.length - 1], "createdAt") : null };
+}
+
+app.get("/api/uploads", awaitPostMigration, optionalAuthenticate, identifyReactor, validate({
+  query: Joi.object({
+    uploaderRole: Joi.string().valid("campus", "district", "cell"),
+    uploaderId: rules.id,
+    campus: rules.id,
+    district: rules.id,
+    type: Joi.string().valid("image", "video"),
+    from: rules.date,
+    to: rules.date,
+    sort: Joi.string().valid("recent", "trending"),
+    limit: Joi.number().integer().min(1),
+    cursor: Joi.string()
+  })
+}), async (req, res) => {
+  try {
+    const filter = await buildFeedFilter(req.query);
+    const limit = parseLimit(req.query.limit, 20, 50);
+    const trending = req.query.sort === "trending";
+
+    let cursor;
+    if (req.query.cursor) {
+      cursor = trending
+        ? decodeTrendingCursor(req.query.cursor)
+        : cursorFilter(req.query.cursor, "createdAt", -1, { isDate: true });
+      if (!cursor) {
+        return sendError(res, 400, "Invalid cursor");
+      }
     }
 
-    if (district.password !== password) {
-      return res.status(400).json({ message: "Invalid credentials" });
-    }
+    const { page, nextCursor } = trending
+      ? await trendingPage(filter, { cursor, limit, from: req.query.from })
+      : await recentPage(filter, { cursor, limit });
 
-    res.status(200).json({
+    const ids = page.map(u => u._id);
+    const [counts, reactions] = await Promise.all([commentCounts(ids), reactionSummaries(ids, req.reactor)]);
+    res.json({
       success: true,
-      message: "Login successful",
-      district
+      data: page.map(u => ({ ...u, ...reactions.get(String(u._id)), commentCount: counts.get(String(u._id)) || 0 })),
+      nextCursor
     });
-  } catch (error) {
-    console.error("District login error:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
+  } catch (err) {
+    console.error("Error fetching uploads:", err);
+    sendServerError(res, err);
   }
 });
 
-// --------------------------------------------------
-// Get District (all, single, or filtered by campus)
-// --------------------------------------------------
-app.get("/api/district/:id?", async (req, res) => {
+// ======================
+// Reactions (likes)
+// ======================
+// POST   /api/device-token                  – anonymous visitors get a signed { deviceToken }; send it back
+//                                              as the X-Device-Token header
+// POST   /api/uploads/:id/like   { type? }   – toggle: the same type again removes it, another type replaces it
+// DELETE /api/uploads/:id/like               – remove my reaction, whatever its type
+// The reactor is the signed-in account, else the device token; each gets one reaction per post.
+// Replies (and every feed item) carry likes (total), reactions ({ type: n }), myReaction, likedByMe.
+const DEVICE_TOKEN_TTL = process.env.DEVICE_TOKEN_TTL || "365d";
+
+app.post("/api/device-token", (req, res) => {
+  const deviceToken = jwt.sign({ type: "device" }, JWT_SECRET, {
+    subject: crypto.randomUUID(),
+    expiresIn: DEVICE_TOKEN_TTL
+  });
+  res.status(201).json({ success: true, message: "Device token issued", data: { deviceToken, expiresIn: DEVICE_TOKEN_TTL } });
+});
+
+// Sets req.reactor to "<role>:<account id>" or "device:<id>" (use after optionalAuthenticate).
+// Anonymous requests without a device token pass through with no reactor.
+function identifyReactor(req, res, next) {
+  if (req.auth) {
+    req.reactor = `${req.auth.role}:${req.auth.id}`;
+    return next();
+  }
+
+  const token = req.headers["x-device-token"];
+  if (!token) return next();
+
   try {
-    // Case 1: Fetch single district by ID
-    if (req.params.id) {
-      const district = await District.findById(req.params.id)
-        .populate("campus", "name email");
-      if (!district) {
-        return res.status(404).json({ success: false, message: "District not found" });
-      }
-      return res.json({ success: true, data: district });
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.type !== "device" || !payload.sub) {
+      return sendError(res, 401, "Invalid device token", { code: "INVALID_DEVICE_TOKEN" });
     }
+    req.reactor = `device:${payload.sub}`;
+    next();
+  } catch (err) {
+    sendError(res, 401, "Invalid device token", { code: "INVALID_DEVICE_TOKEN" });
+  }
+}
 
-    // Case 2: Filtering logic
-    const filter = {};
-    if (req.query.campusId) {
-      filter.campus = req.query.campusId; // filter districts under a campus
+function requireReactor(req, res, next) {
+  if (!req.reactor) {
+    return sendError(res, 401, "Sign in or send a device token first", { code: "AUTH_REQUIRED" });
+  }
+  next();
+}
+
+// Reaction counts per post, plus the reactor's own reaction when there is one
+async function reactionSummaries(uploadIds, reactor) {
+  const [rows, mine] = await Promise.all([
+    Like.aggregate([
+      { $match: { upload: { $in: uploadIds } } },
+      { $group: { _id: { upload: "$upload", type: "$type" }, count: { $sum: 1 } } }
+    ]),
+    reactor ? Like.find({ upload: { $in: uploadIds }, reactor }).select("upload type").lean() : []
+  ]);
+
+  const summaries = new Map(uploadIds.map(id => [String(id), { likes: 0, reactions: {}, myReaction: null, likedByMe: false }]));
+  for (const { _id, count } of rows) {
+    const summary = summaries.get(String(_id.upload));
+    summary.likes += count;
+    summary.reactions[_id.type] = count;
+  }
+  for (const like of mine) {
+    const summary = summaries.get(String(like.upload));
+    summary.myReaction = like.type;
+    summary.likedByMe = true;
+  }
+  return summaries;
+}
+
+async function reactionReply(res, post, reactor, message) {
+  const summaries = await reactionSummaries([post._id], reactor);
+  res.json({ success: true, message, data: summaries.get(String(post._id)) });
+}
+
+app.post("/api/uploads/:id/like", optionalAuthenticate, identifyReactor, requireReactor, validate({
+  ...idParam,
+  body: Joi.object({ type: Joi.string().valid(...REACTION_TYPES) })
+}), async (req, res) => {
+  try {
+    const type = req.body.type || "like";
+    const post = await findVisiblePost(req, req.params.id);
+    if (!post) return sendError(res, 404, "Post not found");
+
+    // Each step is a single atomic write on the (upload, reactor) row, so concurrent
+    // toggles can't double count: the unique index keeps one row per reactor.
+    const key = { upload: post._id, reactor: req.reactor };
+    const removed = await Like.deleteOne({ ...key, type });
+    if (removed.deletedCount) {
+      return await reactionReply(res, post, req.reactor, "Reaction removed");
     }
 
-    // Case 3: Fetch multiple districts
-    const districts = await District.find(filter)
-      .populate("campus", "name email")
-      .sort({ createdAt: -1 });
+    try {
+      await Like.updateOne(key, { $set: { type } }, { upsert: true });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      await Like.updateOne(key, { $set: { type } }); // a parallel request inserted the row first
+    }
+    await reactionReply(res, post, req.reactor, "Reaction saved");
+  } catch (err) {
+    console.error("Like/unlike error:", err);
+    sendServerError(res, err);
+  }
+});
 
-    res.json({ success: true, data: districts });
-  } catch (error) {
-    console.error("Error fetching district:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+app.delete("/api/uploads/:id/like", optionalAuthenticate, identifyReactor, requireReactor, validate(idParam), async (req, res) => {
+  try {
+    const post = await findVisiblePost(req, req.params.id);
+    if (!post) return sendError(res, 404, "Post not found");
+
+    await Like.deleteOne({ upload: post._id, reactor: req.reactor });
+    await reactionReply(res, post, req.reactor, "Reaction removed");
+  } catch (err) {
+    console.error("Remove reaction error:", err);
+    sendServerError(res, err);
   }
 });
 
-// --------------------------------------------------
-// Register Community (Refined)
-// --------------------------------------------------
-app.post("/api/communities", upload.single("logo"), async (req, res) => {
+// ✅ Single Post View Route: the whole gallery (old per-file ids resolve to their post)
+app.get("/api/uploads/:id", awaitPostMigration, optionalAuthenticate, identifyReactor, validate(idParam), async (req, res) => {
   try {
-    let { name, district, leader, leaderPhone, password } = req.body;
+    const post = await findPost(req.params.id);
 
-    if (!name || !district || !leader || !leaderPhone || !password) {
-      return res.status(400).json({ message: "All fields are required" });
+    if (!post) {
+      return sendError(res, 404, "Post not found");
     }
 
-    // ✅ Keep readable name & normalized name
-    const cleanName = name.trim().replace(/\s+/g, " ");
-    const normalizedName = cleanName.toLowerCase();
-
-    leader = leader.trim().replace(/\s+/g, " ");
-    leaderPhone = leaderPhone.trim();
-    password = password.trim();
+    const owner = Boolean(req.auth) && canEditPost(req.auth, post);
+    if (!canSeePost(req.auth, post)) {
+      return sendError(res, 404, "Post not found");
+    }
 
-    // ✅ Case-insensitive duplicate check
-    const existing = await Community.findOne({
-      $or: [
-        { normalizedName },
-      ]
+    res.json({
+      success: true,
+      data: {
+        _id: post._id,
+        status: post.status || "published",
+        ...(owner && { moderation: post.moderation }),
+        media: post.media,
+        caption: post.caption,
+        ...(await reactionSummaries([post._id], req.reactor)).get(String(post._id)),
+        commentCount: await Comment.countDocuments({ upload: post._id, status: "visible" }),
+        uploaderId: post.uploaderId,
+        uploaderRole: post.uploaderRole,
+        uploaderName: post.uploaderName,
+        uploaderLogo: post.uploaderLogo,
+        createdAt: post.createdAt,
+        updatedAt: post.updatedAt,
+      }
     });
-    if (existing) {
-      return res.status(400).json({ message: "Community already exists" });
+  } catch (error) {
+    console.error("❌ Error fetching post:", error);
+    sendServerError(res, error);
+  }
+});
+
+// ✅ Uploader (or a super admin) edits the caption or deletes the post
+function canEditPost(auth, post) {
+  return auth.role === "superadmin" ||
+    (auth.role === post.uploaderRole && String(auth.id) === String(post.uploaderId));
+}
+
+app.put("/api/uploads/:id", authenticate, validate({
+  ...idParam,
+  body: Joi.object({ caption: Joi.string().allow("").max(2000).required() })
+}), async (req, res) => {
+  try {
+    const post = await findPost(req.params.id);
+    if (!post) return sendError(res, 404, "Post not found");
+    if (!canEditPost(req.auth, post)) return sendError(res, 403, "Only the uploader can edit this post");
+
+    // In a pre-moderated role a changed caption goes back to the queue, or an approved post
+    // could be rewritten without review
+    const changed = post.caption !== req.body.caption;
+    post.caption = req.body.caption;
+    if (changed && req.auth.role !== "superadmin" && PREMODERATED_ROLES.includes(post.uploaderRole)) {
+      post.status = "pending";
+      post.moderation.push({ action: "edit", reason: "Caption edited", by: actorOf(req) });
     }
+    await post.save();
 
-    // ✅ Handle logo upload
-    const logoUrl = req.file?.path || "";
+    const message = post.status === "pending" ? "Post updated, waiting for review ⏳" : "Post updated ✅";
+    res.json({ success: true, message, data: post });
+  } catch (err) {
+    console.error("Update post error:", err);
+    sendServerError(res, err);
+  }
+});
 
-    const community = new Community({
-      name: cleanName,      // readable version
-      normalizedName,       // lowercased version
-      district,
-      leader,
-      leaderPhone,
-      password, // ⚠️ plain text — hashing recommended later
-      logo: logoUrl
+// Removes the post with its comments, reactions, reports and legacy Image records, then its files on Cloudinary
+app.delete("/api/uploads/:id", authenticate, validate(idParam), async (req, res) => {
+  try {
+    const post = await findPost(req.params.id);
+    if (!post) return sendError(res, 404, "Post not found");
+    if (!canEditPost(req.auth, post)) return sendError(res, 403, "Only the uploader can delete this post");
+
+    await runInTransaction(async session => {
+      await Comment.deleteMany({ upload: post._id }, { session });
+      await Like.deleteMany({ upload: post._id }, { session });
+      await Report.deleteMany({ upload: post._id }, { session });
+      await Image.deleteMany({ _id: { $in: post.legacyImages } }, { session });
+      await Post.deleteOne({ _id: post._id }, { session });
     });
 
-    await community.save();
+    // Files go only once the records are gone, so a failed delete never leaves a post with broken media
+    await destroyStoredMedia(post.media);
 
-    res.status(201).json({
-      success: true,
-      message: "Community registered successfully",
-      community
-    });
+    res.json({ success: true, message: "Post deleted ✅" });
   } catch (err) {
-    console.error("Community registration error:", err);
-    res.status(500).json({ success: false, message: "Server error", error: err.message });
+    console.error("Delete post error:", err);
+    sendServerError(res, err);
   }
 });
 
-// Get communities (all, or filtered by campus/district)
-app.get("/api/community", async (req, res) => {
+// ======================
+// Moderation
+// ======================
+// POST /api/uploads/:id/report       { reason, details? }  – any viewer (signed in or device token), once per post
+// GET  /api/moderation/queue         ?status=pending|reported|hidden|rejected&cursor=&limit=  – super admin
+// POST /api/moderation/uploads/:id   { action: approve|reject|hide, reason }                  – super admin
+// Every action is appended to post.moderation with its reason and resolves the post's open reports.
+const MODERATION_STATUS = { approve: "published", reject: "rejected", hide: "hidden" };
+
+app.post("/api/uploads/:id/report", optionalAuthenticate, identifyReactor, requireReactor, validate({
+  ...idParam,
+  body: Joi.object({
+    reason: Joi.string().valid(...REPORT_REASONS).required(),
+    details: Joi.string().allow("").trim().max(500)
+  })
+}), async (req, res) => {
   try {
-    const filter = {};
-
-    // If filtering by district
-    if (req.query.districtId) {
-      filter.district = req.query.districtId;
-    }
-
-    // If filtering by campus
-    if (req.query.campusId) {
-      // First get all districts under this campus
-      const districts = await District.find({ campus: req.query.campusId }).select("_id");
-      filter.district = { $in: districts.map(d => d._id) };
+    const post = await findPost(req.params.id, "_id status");
+    if (!post || !isPublished(post)) return sendError(res, 404, "Post not found");
+
+    try {
+      await Report.create({ upload: post._id, reporter: req.reactor, reason: req.body.reason, details: req.body.details || "" });
+    } catch (err) {
+      if (err.code === 11000) return sendError(res, 409, "You have already reported this post", { code: "DUPLICATE" });
+      throw err;
     }
+    await Post.updateOne({ _id: post._id }, { $inc: { openReports: 1 } });
 
-    const communities = await Community.find(filter)
-      .populate({
-        path: "district",
-        select: "name campus",
-        populate: { path: "campus", select: "name email" } // so campus is available too
-      })
-      .sort({ createdAt: -1 });
-
-    res.json({ success: true, data: communities });
+    res.status(201).json({ success: true, message: "Thanks, a moderator will review this post" });
   } catch (err) {
-    console.error("Error fetching communities:", err);
-    res.status(500).json({ success: false, message: "Server error fetching communities" });
+    console.error("Report post error:", err);
+    sendServerError(res, err);
   }
 });
 
-// Login community
-app.post("/login", async (req, res) => {
+app.get("/api/moderation/queue", authenticate, authorize("superadmin"), validate({
+  query: Joi.object({
+    status: Joi.string().valid("pending", "reported", "hidden", "rejected"),
+    limit: Joi.number().integer().min(1),
+    cursor: Joi.string()
+  })
+}), async (req, res) => {
   try {
-    const { name, password } = req.body;
-
-    const community = await Community.findOne({ name });
-    if (!community || community.password !== password) {
-      return res.status(400).json({ message: "Invalid credentials" });
+    const status = req.query.status || "pending";
+    const limit = parseLimit(req.query.limit, 20, 50);
+
+    // Reported = still public but with open reports; everything else is by status, oldest first
+    const filter = status === "reported"
+      ? { status: { $in: ["published", null] }, openReports: { $gt: 0 } }
+      : { status };
+
+    let cursor;
+    if (req.query.cursor) {
+      cursor = cursorFilter(req.query.cursor, "createdAt", 1, { isDate: true });
+      if (!cursor) return sendError(res, 400, "Invalid cursor");
     }
 
-    res.json({
-      message: "Login successful",
-      community: {
-        id: community._id,
-        name: community.name,
-        leader: community.leader,
-        leaderPhone: community.leaderPhone,
-        district: community.district,
-      },
+    const posts = await Post.find(cursor ? { $and: [filter, cursor] } : filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .lean();
+    const hasMore = posts.length > limit;
+    const page = hasMore ? posts.slice(0, limit) : posts;
+
+    const reports = await Report.find({ upload: { $in: page.map(p => p._id) }, status: "open" })
+      .select("upload reason details createdAt")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: page.map(post => ({
+        ...post,
+        reports: reports.filter(r => String(r.upload) === String(post._id))
+      })),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], "createdAt") : null
     });
   } catch (err) {
-    res.status(500).json({ message: "Server error", error: err.message });
+    console.error("Moderation queue error:", err);
+    sendServerError(res, err);
   }
 });
-      
-//=========================
-// ✅ Register Cell
-//==========================
-app.post("/api/cell/register", upload.single("logo"), async (req, res) => {
+
+app.post("/api/moderation/uploads/:id", authenticate, authorize("superadmin"), validate({
+  ...idParam,
+  body: Joi.object({
+    action: Joi.string().valid(...Object.keys(MODERATION_STATUS)).required(),
+    reason: Joi.string().trim().max(500).when("action", {
+      is: "approve",
+      then: Joi.optional().allow(""),
+      otherwise: Joi.required()
+    })
+  })
+}), async (req, res) => {
   try {
-    let { name, campus, district, community, address, leader, phone, email, password } = req.body;
+    const { action, reason = "" } = req.body;
+    const by = { role: req.auth.role, id: req.auth.id };
+
+    const post = await findPost(req.params.id, "_id");
+    if (!post) return sendError(res, 404, "Post not found");
+
+    const updated = await runInTransaction(async session => {
+      await Report.updateMany(
+        { upload: post._id, status: "open" },
+        { $set: { status: "resolved", resolvedBy: by, resolvedAt: new Date() } },
+        { session }
+      );
+      return Post.findByIdAndUpdate(post._id, {
+        $set: { status: MODERATION_STATUS[action], openReports: 0 },
+        $push: { moderation: { action, reason: reason.trim(), by, at: new Date() } }
+      }, { new: true, session });
+    });
+
+    res.json({ success: true, message: `Post ${MODERATION_STATUS[action]} ✅`, data: updated });
+  } catch (err) {
+    console.error("Moderation action error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Comments on uploads
+// ======================
+// GET    /api/uploads/:id/comments?cursor=&limit=  – top-level comments, oldest first, each with its replies
+// POST   /api/uploads/:id/comments  { text, parent?, authorName? } – signed in, or as a named device
+// PUT    /api/comments/:id          { text }             – author only
+// DELETE /api/comments/:id          { reason? }          – author, or a moderator (super admins and
+//                                                          whoever manages the uploader's node)
+// Anonymous authors are known by their device token (X-Device-Token, see /api/device-token), like reactors.
+// Replies to a reply are attached to its top-level comment. A removed comment keeps its
+// place (text blanked) while it still has visible replies.
+
+// Comments from before device tokens hold hashes of client-chosen deviceIds, which no device matches now
+const hashDevice = reactor => crypto.createHash("sha256").update(String(reactor)).digest("hex");
+
+// upload id → number of visible comments
+async function commentCounts(uploadIds) {
+  const rows = await Comment.aggregate([
+    { $match: { upload: { $in: uploadIds }, status: "visible" } },
+    { $group: { _id: "$upload", count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [String(row._id), row.count]));
+}
+
+// Did the requester write this comment? (load it with +author.deviceHash, use after identifyReactor)
+function isCommentAuthor(req, comment) {
+  if (comment.author.id) {
+    return Boolean(req.auth) && req.auth.role === comment.author.role && String(req.auth.id) === String(comment.author.id);
+  }
+  return Boolean(req.reactor?.startsWith("device:")) && hashDevice(req.reactor) === comment.author.deviceHash;
+}
+
+// Super admins, the uploader, and anyone who manages the uploader's node
+async function canModerateUpload(auth, upload) {
+  if (!auth) return false;
+  if (auth.role === "superadmin") return true;
+  if (auth.role === upload.uploaderRole && String(auth.id) === String(upload.uploaderId)) return true;
+  const node = await ROLE_MODELS[upload.uploaderRole].findById(upload.uploaderId);
+  return Boolean(node) && canManageNode(auth, upload.uploaderRole, node);
+}
+
+// Public shape: never the device hash, no text once removed, plus `mine` for the requester
+function presentComment(req, comment) {
+  const { author, ...rest } = comment.toObject();
+  return {
+    ...rest,
+    text: comment.status === "removed" ? "" : comment.text,
+    author: { role: author.role, id: author.id, name: author.name, logo: author.logo },
+    mine: isCommentAuthor(req, comment)
+  };
+}
+
+// Load a live comment with its author hash
+async function loadComment(req, res) {
+  const comment = await Comment.findById(req.params.id).select("+author.deviceHash");
+  if (!comment || comment.status === "removed") {
+    sendError(res, 404, "Comment not found");
+    return null;
+  }
+  return comment;
+}
+
+const commentText = Joi.string().trim().min(1).max(1000);
+
+app.get("/api/uploads/:id/comments", awaitPostMigration, optionalAuthenticate, identifyReactor, validate({
+  ...idParam,
+  query: Joi.object({ cursor: Joi.string(), limit: Joi.number().integer().min(1) })
+}), async (req, res) => {
+  try {
+    const upload = await findVisiblePost(req, req.params.id);
+    if (!upload) {
+      return sendError(res, 404, "Post not found");
+    }
 
-    if (!name || !campus || !district || !community || !address || !leader || !phone || !email || !password) {
-      return res.status(400).json({ success: false, message: "All fields are required" });
+    const filter = { upload: upload._id, parent: null };
+    let pageFilter = filter;
+    if (req.query.cursor) {
+      const after = cursorFilter(req.query.cursor, "createdAt", 1, { isDate: true });
+      if (!after) {
+        return sendError(res, 400, "Invalid cursor");
+      }
+      pageFilter = { $and: [filter, after] };
     }
 
-    // ✅ Clean inputs
-    const cleanName = name.trim().replace(/\s+/g, " ");
-    const normalizedName = cleanName.toLowerCase();
+    const limit = parseLimit(req.query.limit, 20, 100);
+    const topLevel = await Comment.find(pageFilter)
+      .select("+author.deviceHash")
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1);
+    const hasMore = topLevel.length > limit;
+    const page = hasMore ? topLevel.slice(0, limit) : topLevel;
+
+    const replies = await Comment.find({ parent: { $in: page.map(c => c._id) }, status: "visible" })
+      .select("+author.deviceHash")
+      .sort({ createdAt: 1 });
+    const repliesOf = new Map();
+    for (const reply of replies) {
+      const key = String(reply.parent);
+      if (!repliesOf.has(key)) repliesOf.set(key, []);
+      repliesOf.get(key).push(reply);
+    }
 
-    email = email.trim().toLowerCase();
-    leader = leader.trim();
-    phone = phone.trim();
-    address = address.trim();
+    const data = page
+      .filter(c => c.status === "visible" || repliesOf.has(String(c._id)))
+      .map(c => ({
+        ...presentComment(req, c),
+        replies: (repliesOf.get(String(c._id)) || []).map(reply => presentComment(req, reply))
+      }));
 
-    // ✅ Case-insensitive duplicate check
-    const existing = await Cell.findOne({
-      $or: [
-        { normalizedName }, // check against lowercase version
-        { email }
-      ]
+    res.json({
+      success: true,
+      data,
+      total: await Comment.countDocuments({ upload: upload._id, status: "visible" }),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], "createdAt") : null
     });
+  } catch (err) {
+    console.error("Error fetching comments:", err);
+    sendServerError(res, err);
+  }
+});
 
-    if (existing) {
-      return res.status(400).json({ success: false, message: "Cell already exists" });
+app.post("/api/uploads/:id/comments", optionalAuthenticate, identifyReactor, requireReactor, validate({
+  ...idParam,
+  body: Joi.object({
+    text: commentText.required(),
+    parent: rules.id,
+    authorName: rules.name.max(60)
+  })
+}), async (req, res) => {
+  try {
+    const upload = await findVisiblePost(req, req.params.id);
+    if (!upload) {
+      return sendError(res, 404, "Post not found");
     }
 
-    let logoUrl = "";
-    if (req.file) {
-      logoUrl = req.file.path;
+    let author;
+    if (req.auth) {
+      const account = await ROLE_MODELS[req.auth.role].findById(req.auth.id).select("name logo");
+      if (!account) {
+        return sendError(res, 401, "Account no longer exists");
+      }
+      author = { role: req.auth.role, id: account._id, name: account.name, logo: account.logo || "" };
+    } else {
+      const { authorName } = req.body;
+      if (!authorName?.trim()) {
+        return sendError(res, 400, "Sign in or give your name to comment", {
+          code: "VALIDATION_FAILED",
+          details: [{ field: "authorName", in: "body", code: "any.required", message: "authorName is required" }]
+        });
+      }
+      author = { name: authorName.trim().replace(/\s+/g, " "), deviceHash: hashDevice(req.reactor) };
     }
 
-    const newCell = new Cell({
-      name: cleanName,             // save with original capitalization
-      normalizedName,              // hidden field for login/search
-      campus,
-      district,
-      community,
+    let parent = null;
+    if (req.body.parent) {
+      const target = await Comment.findOne({ _id: req.body.parent, upload: upload._id });
+      if (!target || target.status === "removed") {
+        return sendError(res, 400, "Comment to reply to not found", { code: "INVALID_REFERENCE" });
+      }
+      parent = target.parent || target._id;
+    }
+
+    const comment = await Comment.create({ upload: upload._id, parent, text: req.body.text, author });
+    res.status(201).json({ success: true, message: "Comment posted", data: presentComment(req, comment) });
+  } catch (err) {
+    console.error("Comment create error:", err);
+    sendServerError(res, err);
+  }
+});
+
+app.put("/api/comments/:id", optionalAuthenticate, identifyReactor, validate({
+  ...idParam,
+  body: Joi.object({ text: commentText.required() })
+}), async (req, res) => {
+  try {
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+    if (!isCommentAuthor(req, comment)) {
+      return sendError(res, 403, "Only the author can edit this comment");
+    }
+
+    comment.text = req.body.text;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json({ success: true, message: "Comment updated", data: presentComment(req, comment) });
+  } catch (err) {
+    console.error("Comment update error:", err);
+    sendServerError(res, err);
+  }
+});
+
+app.delete("/api/comments/:id", optionalAuthenticate, identifyReactor, validate({
+  ...idParam,
+  body: Joi.object({ reason: Joi.string().trim().allow("").max(500) })
+}), async (req, res) => {
+  try {
+    const comment = await loadComment(req, res);
+    if (!comment) return;
+
+    const byAuthor = isCommentAuthor(req, comment);
+    if (!byAuthor) {
+      const upload = await Post.findById(comment.upload).select("uploaderId uploaderRole");
+      if (!upload || !(await canModerateUpload(req.auth, upload))) {
+        return sendError(res, 403, "Not authorized");
+      }
+    }
+
+    comment.status = "removed";
+    comment.removedAt = new Date();
+    comment.removedBy = {
+      role: req.auth?.role || "device",
+      id: req.auth?.id,
+      reason: byAuthor ? "deleted by author" : req.body.reason || "removed by moderator"
+    };
+    await comment.save();
+
+    res.json({ success: true, message: byAuthor ? "Comment deleted" : "Comment removed" });
+  } catch (err) {
+    console.error("Comment delete error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// --------------------------------------------------
+// Register Campus
+// --------------------------------------------------
+app.post("/api/campus/register", authenticate, authorize("superadmin"), upload.single("logo"), discardMediaOnError, validate({
+  body: Joi.object({
+    name: rules.name.required(),
+    address: Joi.string().trim().max(500).required(),
+    email: rules.email.required(),
+    password: passwordRule.required()
+  })
+}), async (req, res) => {
+  try {
+    let { name, address, email, password } = req.body;
+
+    // ✅ Keep original for display
+    const displayName = name.trim().replace(/\s+/g, " ");
+
+    // ✅ Normalized for login & uniqueness
+    const normalizedName = displayName.toLowerCase();
+
+    address = address.trim().replace(/\s+/g, " ");
+    email = email.trim().toLowerCase();
+    password = password.trim();
+
+    // ✅ Check if campus already exists (email OR normalizedName)
+    const existing = await Campus.findOne({
+      $or: [{ email }, { normalizedName }]
+    });
+    if (existing) {
+      return sendError(res, 400, "Campus already exists", { code: "DUPLICATE" });
+    }
+
+    const newCampus = new Campus({
+      name: displayName,        // readable name
+      normalizedName,           // stored for login matching
       address,
-      leader,
-      phone,
       email,
-      password, // ⚠️ still plain text (to hash later)
-      logo: logoUrl,
+      ...logoFields(req.file),
+      password, // hashed on save
     });
 
-    await newCell.save();
+    await newCampus.save();
 
-    res.status(201).json({ success: true, message: "Cell registered successfully", data: newCell });
-  } catch (err) {
-    console.error("Cell registration error:", err);
-    res.status(500).json({ success: false, message: "Error registering cell", error: err.message });
+    res.status(201).json({
+      success: true,
+      message: "Campus registered successfully",
+      campus: newCampus,
+    });
+  } catch (error) {
+    console.error("Campus register error:", error);
+    sendServerError(res, error);
   }
 });
 
-// CELL LOGIN
-app.post("/api/cell/login", async (req, res) => {
+// --------------------------------------------------
+// Login Campus
+// --------------------------------------------------
+app.post("/api/campus/login", validate({ body: loginBody }), async (req, res) => {
   try {
-    const { identifier, password } = req.body; 
-    // identifier can be name or email
+    const { identifier, password } = req.body; // identifier = name OR email
 
-    const cell = await Cell.findOne({
-      $or: [{ name: identifier }, { email: identifier }],
-    })
-      .populate("campus", "name")   // get campus name
-      .populate("district", "name"); // get district name
+    const campus = await Campus.findOne({
+      $or: [{ email: identifier }, { name: identifier }],
+    });
 
-    if (!cell) {
-      return res.status(404).json({ success: false, message: "Cell not found" });
+    if (!campus) {
+      return sendError(res, 404, "Campus not found");
+    }
+
+    if (!(await campus.verifyPassword(password))) {
+      return sendError(res, 400, "Invalid credentials", { code: "INVALID_CREDENTIALS" });
     }
 
-    if (cell.password !== password) {
-      return res.status(400).json({ success: false, message: "Invalid credentials" });
+    if (!canSignIn(campus)) {
+      return sendError(res, 403, "Account is disabled", { code: "ACCOUNT_DISABLED" });
     }
 
+    const session = await issueSession("campus", campus);
+
     res.status(200).json({
       success: true,
       message: "Login successful",
-      cell: {
-        id: cell._id,
-        name: cell.name,
-        address: cell.address,
-        leader: cell.leader,
-        phone: cell.phone,
-        email: cell.email,
-        campus: cell.campus?.name,
-        district: cell.district?.name,
-        community: cell.community?.name,
-        logo: cell.logo,
-      },
+      campus,
+      ...session,
     });
-  } catch (err) {
-    console.error("Cell login error:", err.message);
-    res.status(500).json({ success: false, message: "Server error" });
+  } catch (error) {
+    sendServerError(res, error);
   }
 });
 
-// ======================
-// Fetch Cells
-// ======================
-app.get("/api/cell", async (req, res) => {
+// --------------------------------------------------
+// Get Campus (all or single)
+// --------------------------------------------------
+app.get("/api/campus/:id?", authenticate, validate({
+  params: Joi.object({ id: rules.id }),
+  query: listQuery
+}), async (req, res) => {
+  try {
+    const scope = await scopeFilter(req.auth, "campus");
+
+    if (req.params.id) {
+      const campus = await Campus.findOne({ $and: [{ _id: req.params.id }, scope] });
+      if (!campus) return sendError(res, 404, "Campus not found");
+      return res.json({ success: true, data: campus });
+    }
+
+    const campuses = await Campus.find({ $and: [scope, activeFilter(req)] }).sort({ createdAt: -1 });
+    res.json({ success: true, data: campuses });
+  } catch (error) {
+    console.error("Error fetching campus:", error);
+    sendServerError(res, error);
+  }
+});
+
+// --------------------------------------------------
+// Register District (Refined)
+// --------------------------------------------------
+app.post("/api/district/register", authenticate, authorize("superadmin", "campus"), upload.single("logo"), discardMediaOnError, validate({
+  body: Joi.object({
+    name: rules.name.required(),
+    campus: rules.id.required(),
+    email: rules.email.required(),
+    password: passwordRule.required()
+  })
+}), async (req, res) => {
+  try {
+    let { name, campus, email, password } = req.body;
+
+    // ✅ Keep readable name
+    const cleanName = name.trim().replace(/\s+/g, " ");
+    // ✅ Normalized version for uniqueness & login
+    const normalizedName = cleanName.toLowerCase();
+    email = email.trim().toLowerCase();
+    password = password.trim();
+
+    // ✅ Campus leaders may only register districts under their own campus
+    if (!withinScope(req.auth, { campus })) {
+      return sendError(res, 403, "Not authorized for this campus");
+    }
+
+    // ✅ Check if campus exists
+    const campusExists = await Campus.findById(campus);
+    if (!campusExists) {
+      return sendError(res, 400, "Campus not found", { code: "INVALID_REFERENCE" });
+    }
+    if (campusExists.status === "archived") {
+      return sendError(res, 400, "Campus is archived");
+    }
+
+    // ✅ Check uniqueness (by email or normalizedName)
+    const existing = await District.findOne({
+      $or: [
+        { email },
+        { normalizedName }
+      ]
+    });
+    if (existing) {
+      return sendError(res, 400, "District already exists", { code: "DUPLICATE" });
+    }
+
+    const newDistrict = new District({
+      name: cleanName,         // Display name
+      normalizedName,          // For login checks
+      campus,
+      email,
+      password, // hashed on save
+      ...logoFields(req.file)
+    });
+
+    await newDistrict.save();
+
+    res.status(201).json({
+      success: true,
+      message: "District registered successfully",
+      district: newDistrict
+    });
+  } catch (error) {
+    console.error("District registration error:", error);
+    sendServerError(res, error);
+  }
+});
+
+// --------------------------------------------------
+// Login District
+// --------------------------------------------------
+app.post("/api/district/login", validate({ body: loginBody }), async (req, res) => {
   try {
-    const { campusId, districtId, communityId } = req.query;
-    let filter = {};
+    const { identifier, password } = req.body; // identifier = name OR email
+
+    // Find district by email OR name
+    const district = await District.findOne({
+      $or: [{ email: identifier }, { name: identifier }]
+    }).populate("campus", "name email");
+
+    if (!district) {
+      return sendError(res, 404, "District not found");
+    }
+
+    if (!(await district.verifyPassword(password))) {
+      return sendError(res, 400, "Invalid credentials", { code: "INVALID_CREDENTIALS" });
+    }
+
+    if (!canSignIn(district)) {
+      return sendError(res, 403, "Account is disabled", { code: "ACCOUNT_DISABLED" });
+    }
+
+    const session = await issueSession("district", district);
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      district,
+      ...session
+    });
+  } catch (error) {
+    console.error("District login error:", error);
+    sendServerError(res, error);
+  }
+});
+
+// --------------------------------------------------
+// Get District (all, single, or filtered by campus)
+// --------------------------------------------------
+app.get("/api/district/:id?", authenticate, validate({
+  params: Joi.object({ id: rules.id }),
+  query: listQuery
+}), async (req, res) => {
+  try {
+    const scope = await scopeFilter(req.auth, "district");
+
+    // Case 1: Fetch single district by ID
+    if (req.params.id) {
+      const district = await District.findOne({ $and: [{ _id: req.params.id }, scope] })
+        .populate("campus", "name email");
+      if (!district) {
+        return sendError(res, 404, "District not found");
+      }
+      return res.json({ success: true, data: district });
+    }
+
+    // Case 2: Fetch multiple districts (optionally under ?campusId)
+    const districts = await District.find(await listFilter(req, "district"))
+      .populate("campus", "name email")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: districts });
+  } catch (error) {
+    console.error("Error fetching district:", error);
+    sendServerError(res, error);
+  }
+});
+
+// --------------------------------------------------
+// Register Community (Refined)
+// --------------------------------------------------
+app.post("/api/communities", authenticate, authorize("superadmin", "campus", "district"), upload.single("logo"), discardMediaOnError, validate({
+  body: Joi.object({
+    name: rules.name.required(),
+    district: rules.id.required(),
+    leader: rules.name.required(),
+    leaderPhone: rules.phone.required(),
+    password: passwordRule.required()
+  })
+}), async (req, res) => {
+  try {
+    let { name, district, leader, leaderPhone, password } = req.body;
+
+    // ✅ Keep readable name & normalized name
+    const cleanName = name.trim().replace(/\s+/g, " ");
+    const normalizedName = cleanName.toLowerCase();
+
+    leader = leader.trim().replace(/\s+/g, " ");
+    leaderPhone = leaderPhone.trim();
+    password = password.trim();
+
+    // ✅ Parent district must exist and sit inside the caller's scope
+    const parentDistrict = await District.findById(district).select("campus status");
+    if (!parentDistrict) {
+      return sendError(res, 400, "District not found", { code: "INVALID_REFERENCE" });
+    }
+    if (parentDistrict.status === "archived") {
+      return sendError(res, 400, "District is archived");
+    }
+    if (!withinScope(req.auth, { campus: parentDistrict.campus, district })) {
+      return sendError(res, 403, "Not authorized for this district");
+    }
+
+    // ✅ Case-insensitive duplicate check
+    const existing = await Community.findOne({
+      $or: [
+        { normalizedName },
+      ]
+    });
+    if (existing) {
+      return sendError(res, 400, "Community already exists", { code: "DUPLICATE" });
+    }
+
+    const community = new Community({
+      name: cleanName,      // readable version
+      normalizedName,       // lowercased version
+      district,
+      leader,
+      leaderPhone,
+      password, // hashed on save
+      ...logoFields(req.file)
+    });
+
+    await community.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Community registered successfully",
+      community
+    });
+  } catch (err) {
+    console.error("Community registration error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Get communities (all, or filtered by campus/district)
+app.get("/api/community", authenticate, validate({ query: listQuery }), async (req, res) => {
+  try {
+    // Filter by ?districtId or ?campusId within the caller's scope
+    const communities = await Community.find(await listFilter(req, "community"))
+      .populate({
+        path: "district",
+        select: "name campus",
+        populate: { path: "campus", select: "name email" } // so campus is available too
+      })
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: communities });
+  } catch (err) {
+    console.error("Error fetching communities:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Login community
+app.post("/login", validate({
+  body: Joi.object({ name: Joi.string().trim().max(200).required(), password: Joi.string().required() })
+}), async (req, res) => {
+  try {
+    const { name, password } = req.body;
+
+    const community = await Community.findOne({ name });
+    if (!community || !(await community.verifyPassword(password))) {
+      return sendError(res, 400, "Invalid credentials", { code: "INVALID_CREDENTIALS" });
+    }
+
+    if (!canSignIn(community)) {
+      return sendError(res, 403, "Account is disabled", { code: "ACCOUNT_DISABLED" });
+    }
+
+    const session = await issueSession("community", community);
+
+    res.json({
+      message: "Login successful",
+      ...session,
+      community: {
+        id: community._id,
+        name: community.name,
+        leader: community.leader,
+        leaderPhone: community.leaderPhone,
+        district: community.district,
+      },
+    });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+      
+//=========================
+// ✅ Register Cell
+//==========================
+app.post("/api/cell/register", authenticate, authorize("superadmin", "campus", "district", "community"), upload.single("logo"), discardMediaOnError, validate({
+  body: Joi.object({
+    name: rules.name.required(),
+    campus: rules.id.required(),
+    district: rules.id.required(),
+    community: rules.id.required(),
+    address: Joi.string().trim().max(500).required(),
+    leader: rules.name.required(),
+    phone: rules.phone.required(),
+    email: rules.email.required(),
+    password: passwordRule.required()
+  })
+}), async (req, res) => {
+  try {
+    let { name, campus, district, community, address, leader, phone, email, password } = req.body;
+
+    // ✅ Community → district → campus must actually be one chain
+    const chain = await resolveCommunityChain(community);
+    if (chain.error) {
+      return sendError(res, 400, chain.error, { code: "INVALID_REFERENCE" });
+    }
+    if (String(chain.district._id) !== String(district) || String(chain.campus._id) !== String(campus)) {
+      return sendError(res, 400, "Community does not belong to the given district/campus", { code: "INVALID_REFERENCE" });
+    }
+
+    // ✅ Only within the caller's part of the hierarchy
+    if (!withinScope(req.auth, { campus, district, community })) {
+      return sendError(res, 403, "Not authorized for this community");
+    }
+
+    // ✅ Clean inputs
+    const cleanName = name.trim().replace(/\s+/g, " ");
+    const normalizedName = cleanName.toLowerCase();
+
+    email = email.trim().toLowerCase();
+    leader = leader.trim();
+    phone = phone.trim();
+    address = address.trim();
+
+    // ✅ Case-insensitive duplicate check
+    const existing = await Cell.findOne({
+      $or: [
+        { normalizedName }, // check against lowercase version
+        { email }
+      ]
+    });
+
+    if (existing) {
+      return sendError(res, 400, "Cell already exists", { code: "DUPLICATE" });
+    }
+
+    const newCell = new Cell({
+      name: cleanName,             // save with original capitalization
+      normalizedName,              // hidden field for login/search
+      campus,
+      district,
+      community,
+      address,
+      leader,
+      phone,
+      email,
+      password, // hashed on save
+      ...logoFields(req.file),
+    });
+
+    await newCell.save();
+
+    res.status(201).json({ success: true, message: "Cell registered successfully", data: newCell });
+  } catch (err) {
+    console.error("Cell registration error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// CELL LOGIN
+app.post("/api/cell/login", validate({ body: loginBody }), async (req, res) => {
+  try {
+    const { identifier, password } = req.body; 
+    // identifier can be name or email
+
+    const cell = await Cell.findOne({
+      $or: [{ name: identifier }, { email: identifier }],
+    })
+      .populate("campus", "name")   // get campus name
+      .populate("district", "name"); // get district name
+
+    if (!cell) {
+      return sendError(res, 404, "Cell not found");
+    }
+
+    if (!(await cell.verifyPassword(password))) {
+      return sendError(res, 400, "Invalid credentials", { code: "INVALID_CREDENTIALS" });
+    }
+
+    if (!canSignIn(cell)) {
+      return sendError(res, 403, "Account is disabled", { code: "ACCOUNT_DISABLED" });
+    }
+
+    const session = await issueSession("cell", cell);
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      ...session,
+      cell: {
+        id: cell._id,
+        name: cell.name,
+        address: cell.address,
+        leader: cell.leader,
+        phone: cell.phone,
+        email: cell.email,
+        campus: cell.campus?.name,
+        district: cell.district?.name,
+        community: cell.community?.name,
+        logo: cell.logo,
+      },
+    });
+  } catch (err) {
+    console.error("Cell login error:", err.message);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Fetch Cells
+// ======================
+app.get("/api/cell", authenticate, validate({ query: listQuery }), async (req, res) => {
+  try {
+    // Filter by ?campusId / ?districtId / ?communityId within the caller's scope
+    const cells = await Cell.find(await listFilter(req, "cell"))
+      .populate("campus", "name")
+      .populate("district", "name")
+      .populate("community", "name");
+
+    res.json({ success: true, data: cells });
+  } catch (err) {
+    console.error("Error fetching cells:", err);
+    sendServerError(res, err);
+  }
+});
+
+// --------------------------------------------------
+// Get Communities by District
+// --------------------------------------------------
+app.get("/api/communities", authenticate, validate({
+  query: Joi.object({ district: rules.id.required(), includeArchived: rules.flag })
+}), async (req, res) => {
+  try {
+    const { district } = req.query;
+
+    const scope = await scopeFilter(req.auth, "community");
+    const communities = await Community.find({ $and: [{ district }, scope, activeFilter(req)] }).sort({ createdAt: -1 });
+    res.json({ success: true, data: communities });
+  } catch (err) {
+    console.error("Error fetching communities:", err);
+    sendServerError(res, err);
+  }
+});
+// ======================
+// Hierarchy maintenance: update / archive / restore
+// ======================
+// PUT    /api/{campus|district|community|cell}/:id           – edit fields and/or logo
+// DELETE /api/{campus|district|community|cell}/:id           – archive (soft delete);
+//        refused while active children exist unless ?cascade=true, which archives the subtree
+// POST   /api/{campus|district|community|cell}/:id/restore   – un-archive (parent must be active)
+
+async function loadNode(level, id, res) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    sendError(res, 400, `Invalid ${level} ID`);
+    return null;
+  }
+  const node = await ROLE_MODELS[level].findById(id);
+  if (!node) {
+    sendError(res, 404, `${LEVEL_LABELS[level]} not found`);
+    return null;
+  }
+  return node;
+}
+
+function updateNode(level) {
+  return async (req, res) => {
+    try {
+      const node = await loadNode(level, req.params.id, res);
+      if (!node) return;
+
+      if (!(await canManageNode(req.auth, level, node))) {
+        return sendError(res, 403, "Not authorized");
+      }
+
+      const updates = {};
+      for (const field of EDITABLE_FIELDS[level]) {
+        if (typeof req.body[field] === "string" && req.body[field].trim()) {
+          updates[field] = req.body[field].trim().replace(/\s+/g, " ");
+        }
+      }
+      if (updates.email) updates.email = updates.email.toLowerCase();
+      const oldLogo = req.file && storedLogo(node);
+      if (req.file) Object.assign(updates, logoFields(req.file));
+
+      if (!Object.keys(updates).length) {
+        return sendError(res, 400, "Nothing to update");
+      }
+
+      // Names and emails double as login identifiers, so keep them unique per level
+      const clashes = [];
+      if (updates.name) clashes.push({ normalizedName: updates.name.toLowerCase() });
+      if (updates.email) clashes.push({ email: updates.email });
+      if (clashes.length) {
+        const existing = await ROLE_MODELS[level].findOne({ _id: { $ne: node._id }, $or: clashes });
+        if (existing) {
+          return sendError(res, 400, `${LEVEL_LABELS[level]} name or email already in use`, { code: "DUPLICATE" });
+        }
+      }
+
+      Object.assign(node, updates);
+      await node.save(); // pre-save refreshes normalizedName
+
+      if (oldLogo) {
+        // Posts and comments keep a copy of the uploader's logo URL: move them to the new
+        // logo before the old file is removed
+        await Promise.all([
+          Post.updateMany(
+            { uploaderRole: level, uploaderId: String(node._id) },
+            { $set: { uploaderLogo: node.logoVariants?.thumb || node.logo } }
+          ),
+          Comment.updateMany({ "author.role": level, "author.id": node._id }, { $set: { "author.logo": node.logo } })
+        ]);
+        await destroyStoredMedia([oldLogo]); // logs failures instead of failing the update
+      }
+
+      res.json({ success: true, message: `${LEVEL_LABELS[level]} updated successfully`, data: node });
+    } catch (err) {
+      console.error(`${LEVEL_LABELS[level]} update error:`, err);
+      sendServerError(res, err);
+    }
+  };
+}
+
+function archiveNode(level) {
+  return async (req, res) => {
+    try {
+      const node = await loadNode(level, req.params.id, res);
+      if (!node) return;
+
+      if (!(await canManageNode(req.auth, level, node, { strict: true }))) {
+        return sendError(res, 403, "Not authorized");
+      }
+      if (node.status === "archived") {
+        return sendError(res, 400, `${LEVEL_LABELS[level]} is already archived`);
+      }
+
+      const cascade = req.query.cascade === "true";
+      const filters = await descendantFilters(level, node._id);
+      const notArchived = { status: { $ne: "archived" } };
+
+      // Count active children at every level below
+      const children = {};
+      for (const child of Object.keys(filters)) {
+        children[child] = await ROLE_MODELS[child].countDocuments({ $and: [filters[child], notArchived] });
+      }
+      const members = level === "cell"
+        ? await Member.countDocuments({ cell: node._id, status: { $ne: "inactive" } })
+        : 0;
+      const hasChildren = Object.values(children).some(Boolean) || members > 0;
+
+      if (hasChildren && !cascade) {
+        return sendError(res, 409, `${LEVEL_LABELS[level]} still has active children; move them or pass ?cascade=true`, {
+          code: "HAS_ACTIVE_CHILDREN",
+          details: { children: { ...children, ...(level === "cell" ? { members } : {}) } }
+        });
+      }
+
+      const archivedAt = new Date();
+      for (const child of Object.keys(filters)) {
+        await ROLE_MODELS[child].updateMany(
+          { $and: [filters[child], notArchived] },
+          { $set: { status: "archived", archivedAt } }
+        );
+      }
+      node.status = "archived";
+      node.archivedAt = archivedAt;
+      await node.save();
+
+      res.json({
+        success: true,
+        message: `${LEVEL_LABELS[level]} archived`,
+        archived: { [level]: 1, ...children }
+      });
+    } catch (err) {
+      console.error(`${LEVEL_LABELS[level]} archive error:`, err);
+      sendServerError(res, err);
+    }
+  };
+}
+
+function restoreNode(level) {
+  return async (req, res) => {
+    try {
+      const node = await loadNode(level, req.params.id, res);
+      if (!node) return;
+
+      if (!(await canManageNode(req.auth, level, node, { strict: true }))) {
+        return sendError(res, 403, "Not authorized");
+      }
+      if (node.status !== "archived") {
+        return sendError(res, 400, `${LEVEL_LABELS[level]} is not archived`);
+      }
+
+      // Parent must be active first
+      const parentLevel = HIERARCHY_LEVELS[HIERARCHY_LEVELS.indexOf(level) - 1];
+      if (parentLevel) {
+        const parent = await ROLE_MODELS[parentLevel].findById(node[parentLevel]).select("status");
+        if (!parent || parent.status === "archived") {
+          return sendError(res, 409, `Restore the parent ${parentLevel} first`);
+        }
+      }
+
+      // Children archived together with this node (same cascade) come back with it
+      const filters = await descendantFilters(level, node._id);
+      for (const child of Object.keys(filters)) {
+        await ROLE_MODELS[child].updateMany(
+          { $and: [filters[child], { status: "archived", archivedAt: node.archivedAt }] },
+          { $set: { status: "active" }, $unset: { archivedAt: "" } }
+        );
+      }
+      node.status = "active";
+      node.archivedAt = undefined;
+      await node.save();
+
+      res.json({ success: true, message: `${LEVEL_LABELS[level]} restored`, data: node });
+    } catch (err) {
+      console.error(`${LEVEL_LABELS[level]} restore error:`, err);
+      sendServerError(res, err);
+    }
+  };
+}
+
+// ======================
+// Move a cell or community to a different parent
+// ======================
+// POST /api/cell/:id/move       { community } – campus/district are taken from the new community
+// POST /api/community/:id/move  { district }  – its cells (and their members) follow
+// All denormalized refs are rewritten in one transaction. Archived nodes can't move (restore them first).
+
+app.post("/api/cell/:id/move", authenticate, validate({
+  ...idParam,
+  body: Joi.object({ community: rules.id.required() })
+}), async (req, res) => {
+  try {
+    const cell = await loadNode("cell", req.params.id, res);
+    if (!cell) return;
+
+    if (!(await canManageNode(req.auth, "cell", cell, { strict: true }))) {
+      return sendError(res, 403, "Not authorized");
+    }
+    if (cell.status === "archived") {
+      return sendError(res, 400, "Cell is archived");
+    }
+
+    const chain = await resolveCommunityChain(req.body.community);
+    if (chain.error) {
+      return sendError(res, 400, chain.error, { code: "INVALID_REFERENCE" });
+    }
+    if (!(await canManageNode(req.auth, "community", chain.community))) {
+      return sendError(res, 403, "Not authorized for the destination community");
+    }
+    if (String(cell.community) === String(chain.community._id)) {
+      return sendError(res, 400, "Cell is already in this community");
+    }
+
+    const from = { campus: cell.campus, district: cell.district, community: cell.community };
+    const to = { campus: chain.campus._id, district: chain.district._id, community: chain.community._id };
+
+    const membersMoved = await runInTransaction(async session => {
+      await Cell.updateOne({ _id: cell._id }, { $set: to }, { session });
+      const result = await Member.updateMany(
+        { cell: cell._id },
+        { $set: { district: to.district } },
+        { session }
+      );
+      return result.modifiedCount;
+    });
+
+    res.json({ success: true, message: "Cell moved successfully", from, to, membersMoved });
+  } catch (err) {
+    console.error("Cell move error:", err);
+    sendServerError(res, err);
+  }
+});
+
+app.post("/api/community/:id/move", authenticate, validate({
+  ...idParam,
+  body: Joi.object({ district: rules.id.required() })
+}), async (req, res) => {
+  try {
+    const community = await loadNode("community", req.params.id, res);
+    if (!community) return;
+
+    if (!(await canManageNode(req.auth, "community", community, { strict: true }))) {
+      return sendError(res, 403, "Not authorized");
+    }
+    if (community.status === "archived") {
+      return sendError(res, 400, "Community is archived");
+    }
+
+    const { district: districtId } = req.body;
+    const district = await District.findById(districtId);
+    const campus = district && await Campus.findById(district.campus);
+    if (!district || !campus) {
+      return sendError(res, 400, "District not found", { code: "INVALID_REFERENCE" });
+    }
+    if (district.status === "archived" || campus.status === "archived") {
+      return sendError(res, 400, "Destination is archived");
+    }
+    if (!(await canManageNode(req.auth, "district", district))) {
+      return sendError(res, 403, "Not authorized for the destination district");
+    }
+    if (String(community.district) === String(district._id)) {
+      return sendError(res, 400, "Community is already in this district");
+    }
+
+    const from = { district: community.district };
+    const to = { campus: campus._id, district: district._id };
+
+    const moved = await runInTransaction(async session => {
+      await Community.updateOne({ _id: community._id }, { $set: { district: district._id } }, { session });
+
+      const cells = await Cell.find({ community: community._id }).select("_id").session(session);
+      const cellIds = cells.map(c => c._id);
+
+      await Cell.updateMany({ _id: { $in: cellIds } }, { $set: to }, { session });
+      const members = await Member.updateMany(
+        { cell: { $in: cellIds } },
+        { $set: { district: district._id } },
+        { session }
+      );
+      return { cells: cellIds.length, members: members.modifiedCount };
+    });
+
+    res.json({ success: true, message: "Community moved successfully", from, to, moved });
+  } catch (err) {
+    console.error("Community move error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Hierarchy tree with per-node counts
+// ======================
+// GET /api/hierarchy/tree?campusId= | ?districtId= | ?communityId= | ?cellId=
+// Without a param the caller's own node is the root (superadmins get every campus).
+// Each node: { _id, level, name, logo, counts: { districts, communities, cells, members }, children }
+// Built from one query per level plus a single member $group, whatever the tree size.
+app.get("/api/hierarchy/tree", authenticate, validate({
+  query: Joi.object({ campusId: rules.id, districtId: rules.id, communityId: rules.id, cellId: rules.id })
+}), async (req, res) => {
+  try {
+    const params = {
+      campus: req.query.campusId,
+      district: req.query.districtId,
+      community: req.query.communityId,
+      cell: req.query.cellId
+    };
+    let rootLevel = HIERARCHY_LEVELS.find(level => params[level]);
+    let rootId = rootLevel && params[rootLevel];
+
+    if (!rootLevel && req.auth.role !== "superadmin") {
+      rootLevel = req.auth.role;
+      rootId = req.auth.id;
+    }
+    const forest = !rootLevel; // superadmin overview: every campus
+
+    // Roots
+    let roots;
+    if (rootLevel) {
+      const node = await loadNode(rootLevel, rootId, res);
+      if (!node) return;
+      if (!(await canManageNode(req.auth, rootLevel, node))) {
+        return sendError(res, 403, "Not authorized");
+      }
+      roots = [node];
+    } else {
+      rootLevel = "campus";
+      roots = await Campus.find(activeFilter(req)).sort({ name: 1 });
+    }
+    const rootIds = roots.map(r => r._id);
+    const active = activeFilter(req);
+    const fields = "name logo status campus district community";
+
+    // One query per level below the root
+    const depth = HIERARCHY_LEVELS.indexOf(rootLevel);
+    const nodes = { [rootLevel]: roots };
+
+    if (depth < 1) {
+      nodes.district = await District.find({ ...active, campus: { $in: rootIds } }).select(fields).sort({ name: 1 });
+    }
+    if (depth < 2) {
+      const districtIds = depth === 1 ? rootIds : nodes.district.map(d => d._id);
+      nodes.community = await Community.find({ ...active, district: { $in: districtIds } }).select(fields).sort({ name: 1 });
+    }
+    if (depth < 3) {
+      const communityIds = depth === 2 ? rootIds : nodes.community.map(c => c._id);
+      nodes.cell = await Cell.find({ ...active, community: { $in: communityIds } }).select(fields).sort({ name: 1 });
+    }
+
+    // Member counts per cell in a single aggregation
+    const cellIds = (nodes.cell || []).map(c => c._id);
+    const memberCounts = await Member.aggregate([
+      { $match: { cell: { $in: cellIds }, status: { $ne: "inactive" } } },
+      { $group: { _id: "$cell", count: { $sum: 1 } } }
+    ]);
+    const membersByCell = new Map(memberCounts.map(m => [String(m._id), m.count]));
+
+    // Group every level by its parent id, then assemble in memory
+    const parentField = { district: "campus", community: "district", cell: "community" };
+    const childLevel = { campus: "district", district: "community", community: "cell" };
+    const countKey = { district: "districts", community: "communities", cell: "cells" };
+
+    const byParent = {};
+    for (const level of Object.keys(parentField)) {
+      byParent[level] = new Map();
+      for (const doc of nodes[level] || []) {
+        const key = String(doc[parentField[level]]);
+        if (!byParent[level].has(key)) byParent[level].set(key, []);
+        byParent[level].get(key).push(doc);
+      }
+    }
+
+    function buildNode(level, doc) {
+      const next = childLevel[level];
+      const children = next
+        ? (byParent[next].get(String(doc._id)) || []).map(child => buildNode(next, child))
+        : [];
+
+      const counts = { districts: 0, communities: 0, cells: 0, members: 0 };
+      if (level === "cell") counts.members = membersByCell.get(String(doc._id)) || 0;
+      for (const child of children) {
+        counts.districts += child.counts.districts;
+        counts.communities += child.counts.communities;
+        counts.cells += child.counts.cells;
+        counts.members += child.counts.members;
+        counts[countKey[child.level]] += 1;
+      }
+
+      return { _id: doc._id, level, name: doc.name, logo: doc.logo || "", status: doc.status, counts, children };
+    }
+
+    const data = roots.map(root => buildNode(rootLevel, root));
+    res.json({ success: true, data: forest ? data : data[0] });
+  } catch (err) {
+    console.error("Hierarchy tree error:", err);
+    sendServerError(res, err);
+  }
+});
+
+for (const level of HIERARCHY_LEVELS) {
+  app.put(`/api/${level}/:id`, authenticate, upload.single("logo"), discardMediaOnError,
+    validate({ ...idParam, body: nodeUpdateBody(level) }), updateNode(level));
+  app.delete(`/api/${level}/:id`, authenticate,
+    validate({ ...idParam, query: Joi.object({ cascade: rules.flag }) }), archiveNode(level));
+  app.post(`/api/${level}/:id/restore`, authenticate, validate(idParam), restoreNode(level));
+}
+
+// ======================
+// Universal Login
+// ======================
+app.post("/api/universal-login", validate({ body: loginBody }), async (req, res) => {
+  try {
+    const { identifier, password } = req.body; // identifier = email | campus | district | cell
+
+    let user = null;
+    let role = "";
+
+    // 1. Check Campus
+    user = await Campus.findOne({ $or: [{ email: identifier }, { name: identifier }] });
+    if (user) role = "campus";
+
+    // 2. Check District
+    if (!user) {
+      user = await District.findOne({ $or: [{ email: identifier }, { name: identifier }] });
+      if (user) role = "district";
+    }
+
+    // 3. Check Cell
+    if (!user) {
+      user = await Cell.findOne({ $or: [{ email: identifier }, { name: identifier }] });
+      if (user) role = "cell";
+    }
+
+    if (!user) {
+      return sendError(res, 404, "User not found");
+    }
+
+    if (!canSignIn(user)) {
+      return sendError(res, 403, "Account is disabled", { code: "ACCOUNT_DISABLED" });
+    }
+
+    // Compare password
+    const isMatch = await user.verifyPassword(password);
+    if (!isMatch) {
+      return sendError(res, 400, "Invalid password", { code: "INVALID_CREDENTIALS" });
+    }
+
+    const session = await issueSession(role, user);
+
+    // ✅ Return role + user details (with logo)
+    res.json({
+      message: "Login successful",
+      role,
+      ...session,
+      user: {
+        id: user._id,
+        name: user.name || user.email,
+        email: user.email,
+        logo: user.logo || ""   // 👈 include logo if exists
+      }
+    });
+
+  } catch (err) {
+    console.error("Error in universal login:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Universal Login 2 (Refined)
+// ======================
+app.post("/api/universal-login2", validate({ body: loginBody }), async (req, res) => {
+  try {
+    const { identifier, password } = req.body;
+
+    // Campus → District → Community → Cell → Super Admin
+    const { user, role } = await findAccountByIdentifier(identifier);
+
+    if (!user) {
+      return sendError(res, 404, "User not found");
+    }
+
+    if (!canSignIn(user)) {
+      return sendError(res, 403, "Account is disabled", { code: "ACCOUNT_DISABLED" });
+    }
+
+    // Compare password (upgrades legacy plain-text on success)
+    if (!(await user.verifyPassword(password))) {
+      return sendError(res, 400, "Invalid password", { code: "INVALID_CREDENTIALS" });
+    }
+
+    const session = await issueSession(role, user);
+
+    res.json({
+      message: "Login successful",
+      role,
+      ...session,
+      user: {
+        id: user._id,
+        name: user.name,   // 👈 always return the original case-preserved name
+        email: user.email || "",
+        logo: user.logo || ""
+      }
+    });
+
+  } catch (err) {
+    console.error("Error in universal login:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Register a Member
+// ======================
+app.post("/api/members/register", authenticate, authorize("superadmin", "campus", "district", "community", "cell"), validate({
+  body: Joi.object({
+    fullName: rules.name.required(),
+    address: Joi.string().trim().max(500).required(),
+    phone: rules.phone.required(),
+    email: rules.email.required(),
+    district: rules.id.required(),
+    cell: rules.id.required()
+  })
+}), async (req, res) => {
+  try {
+    const { fullName, address, phone, email, district, cell } = req.body;
+
+    // Cell must exist and be within the caller's scope
+    const targetCell = await Cell.findById(cell);
+    if (!targetCell) {
+      return sendError(res, 400, "Cell not found", { code: "INVALID_REFERENCE" });
+    }
+    if (!withinScope(req.auth, {
+      campus: targetCell.campus,
+      district: targetCell.district,
+      community: targetCell.community,
+      cell: targetCell._id
+    })) {
+      return sendError(res, 403, "Not authorized for this cell");
+    }
+    if (String(targetCell.district) !== String(district)) {
+      return sendError(res, 400, "Cell does not belong to this district", { code: "INVALID_REFERENCE" });
+    }
+
+    // Check if email already exists
+    const existing = await Member.findOne({ email });
+    if (existing) {
+      return sendError(res, 400, "Email already registered", { code: "DUPLICATE" });
+    }
+
+    const member = new Member({
+      fullName, address, phone, email, district, cell,
+      history: [{ action: "joined", cell, by: { role: req.auth.role, id: req.auth.id } }]
+    });
+    await member.save();
+
+    // Queue likely duplicates (same phone or near-identical name) for review
+    const possibleDuplicates = lookalikePairs(member, await findLookalikes(member));
+    await queueDuplicates(possibleDuplicates);
+
+    res.status(201).json({
+      message: "Member registered successfully",
+      member,
+      possibleDuplicates: possibleDuplicates.length
+    });
+  } catch (err) {
+    console.error("Error registering member:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Fetch Cells by District
+// ======================
+app.get("/api/cells/by-district/:districtId", authenticate, validate({
+  params: Joi.object({ districtId: rules.id.required() }),
+  query: Joi.object({ includeArchived: rules.flag })
+}), async (req, res) => {
+  try {
+    const scope = await scopeFilter(req.auth, "cell");
+    const cells = await Cell.find({ $and: [{ district: req.params.districtId }, scope, activeFilter(req)] });
+    res.json(cells);
+  } catch (err) {
+    console.error("Error fetching cells:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Fetch Members (every role, scoped by the session token)
+// ======================
+// Query: q (name/phone/email), cell, community, district, campus, status (active|inactive),
+//        joinedFrom, joinedTo (ISO dates), sort (fullName|email|createdAt, "-" = desc; default -createdAt),
+//        limit (≤200, default 50), cursor (from the previous page's nextCursor)
+// Reply: { success, data, total, nextCursor } – total counts every match, not just this page.
+
+const memberListQuery = Joi.object({
+  q: Joi.string().allow("").max(200),
+  cell: rules.id,
+  community: rules.id,
+  district: rules.id,
+  campus: rules.id,
+  status: Joi.string().valid("active", "inactive"),
+  joinedFrom: rules.date,
+  joinedTo: rules.date,
+  sort: Joi.string().valid("fullName", "-fullName", "email", "-email", "createdAt", "-createdAt"),
+  limit: Joi.number().integer().min(1),
+  cursor: Joi.string()
+});
+
+// Build the member filter shared by listing and export. Returns { filter } or { error, status }.
+async function buildMemberFilter(req) {
+  const { q, cell, community, district, campus, status, joinedFrom, joinedTo } = req.query;
+  const clauses = [await scopeFilter(req.auth, "member")];
+
+  for (const [name, value] of Object.entries({ cell, community, district, campus })) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      return { error: `Invalid ${name} ID`, status: 400 };
+    }
+  }
+
+  if (cell) clauses.push({ cell });
+  if (district) clauses.push({ district });
+  if (community) {
+    const cells = await Cell.find({ community }).select("_id");
+    clauses.push({ cell: { $in: cells.map(c => c._id) } });
+  }
+  if (campus) {
+    const districts = await District.find({ campus }).select("_id");
+    clauses.push({ district: { $in: districts.map(d => d._id) } });
+  }
+
+  if (status) {
+    if (!["active", "inactive"].includes(status)) {
+      return { error: "status must be active or inactive", status: 400 };
+    }
+    // Members created before statuses existed count as active
+    clauses.push(status === "active" ? { status: { $ne: "inactive" } } : { status: "inactive" });
+  }
+
+  if (joinedFrom || joinedTo) {
+    const range = {};
+    if (joinedFrom) range.$gte = new Date(joinedFrom);
+    if (joinedTo) range.$lte = new Date(joinedTo);
+    if (Object.values(range).some(d => isNaN(d))) {
+      return { error: "Invalid joinedFrom/joinedTo date", status: 400 };
+    }
+    clauses.push({ createdAt: range });
+  }
+
+  if (q && q.trim()) {
+    const pattern = new RegExp(escapeRegex(q.trim()), "i");
+    clauses.push({ $or: [{ fullName: pattern }, { email: pattern }, { phone: pattern }] });
+  }
+
+  return { filter: { $and: clauses } };
+}
+
+app.get("/api/members", authenticate, validate({ query: memberListQuery }), async (req, res) => {
+  try {
+    const { filter, error, status } = await buildMemberFilter(req);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const sort = parseSort(req.query.sort, ["fullName", "email", "createdAt"], "-createdAt");
+    if (!sort) {
+      return sendError(res, 400, "Invalid sort field");
+    }
+    const limit = parseLimit(req.query.limit);
+
+    let pageFilter = filter;
+    if (req.query.cursor) {
+      const after = cursorFilter(req.query.cursor, sort.field, sort.dir, { isDate: sort.field === "createdAt" });
+      if (!after) {
+        return sendError(res, 400, "Invalid cursor");
+      }
+      pageFilter = { $and: [filter, after] };
+    }
+
+    const [members, total] = await Promise.all([
+      Member.find(pageFilter)
+        .select("-history")
+        .sort({ [sort.field]: sort.dir, _id: sort.dir })
+        .limit(limit + 1)
+        .populate("district", "name")
+        .populate("cell", "name"),
+      Member.countDocuments(filter)
+    ]);
+
+    const hasMore = members.length > limit;
+    const page = hasMore ? members.slice(0, limit) : members;
+
+    res.json({
+      success: true,
+      data: page,
+      total,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort.field) : null
+    });
+  } catch (err) {
+    console.error("Error fetching members:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Member lifecycle: view, edit, transfer, deactivate / reactivate, history
+// ======================
+
+// Load a member the caller may manage (their cell or anything above it)
+async function loadMember(req, res, id = req.params.id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    sendError(res, 400, "Invalid member ID");
+    return null;
+  }
+  const member = await Member.findById(id);
+  if (!member) {
+    sendError(res, 404, "Member not found");
+    return null;
+  }
+  const cell = await Cell.findById(member.cell).select("campus district community");
+  const chain = cell
+    ? { campus: cell.campus, district: cell.district, community: cell.community, cell: cell._id }
+    : { district: member.district, cell: member.cell };
+  if (req.auth.role !== "superadmin" && !withinScope(req.auth, chain)) {
+    sendError(res, 403, "Not authorized for this member");
+    return null;
+  }
+  return member;
+}
+
+const actorOf = req => ({ role: req.auth.role, id: req.auth.id });
+
+// ======================
+// Duplicate members: scan, review queue, dismiss, merge
+// ======================
+
+// Collections that point at Member, re-pointed when two members are merged.
+// Each entry: { model, path, isArray, within }
+// - isArray when path holds a list of Member ids
+// - within names an array of subdocuments, each holding a Member id at `path`
+const MEMBER_REFERENCES = [];
+
+// Point every registered reference at `fromId` to `toId` instead
+async function repointMemberReferences(fromId, toId, session) {
+  for (const { model, path: refPath, isArray, within } of MEMBER_REFERENCES) {
+    if (within) {
+      await model.updateMany(
+        { [`${within}.${refPath}`]: fromId },
+        { $set: { [`${within}.$[ref].${refPath}`]: toId } },
+        { arrayFilters: [{ [`ref.${refPath}`]: fromId }], session }
+      );
+    } else if (isArray) {
+      // addToSet first so a list holding both ids ends up with toId once
+      await model.updateMany({ [refPath]: fromId }, { $addToSet: { [refPath]: toId } }, { session });
+      await model.updateMany({ [refPath]: fromId }, { $pull: { [refPath]: fromId } }, { session });
+    } else {
+      await model.updateMany({ [refPath]: fromId }, { $set: { [refPath]: toId } }, { session });
+    }
+  }
+}
+
+// Scan the caller's members and queue likely duplicates
+app.post("/api/members/duplicates/scan", authenticate, async (req, res) => {
+  try {
+    const scope = await scopeFilter(req.auth, "member");
+    const members = await Member.find(scope).select("fullName phone normalizedPhone");
+    const { pairs, complete } = await detectDuplicates(members);
+    const added = await queueDuplicates(pairs);
+
+    res.json({
+      success: true,
+      message: complete ? "Scan complete" : "Scan stopped early: too many similar names to compare at once",
+      scanned: members.length, found: pairs.length, added, complete
+    });
+  } catch (err) {
+    console.error("Duplicate scan error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Review queue (pairs where both members are in the caller's scope)
+app.get("/api/members/duplicates", authenticate, validate({
+  query: Joi.object({
+    status: Joi.string().valid("pending", "merged", "dismissed"),
+    limit: Joi.number().integer().min(1)
+  })
+}), async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+
+    const filter = { status };
+    if (req.auth.role !== "superadmin") {
+      const scoped = await Member.find(await scopeFilter(req.auth, "member")).select("_id");
+      filter.members = { $not: { $elemMatch: { $nin: scoped.map(m => m._id) } } };
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const candidates = await DuplicateCandidate.find(filter)
+      .sort({ score: -1, createdAt: -1 })
+      .limit(limit)
+      .populate({
+        path: "members",
+        select: "fullName phone email address status cell district createdAt",
+        populate: [{ path: "cell", select: "name" }, { path: "district", select: "name" }]
+      });
+
+    res.json({ success: true, data: candidates });
+  } catch (err) {
+    console.error("Error fetching duplicates:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Not the same person
+app.post("/api/members/duplicates/:id/dismiss", authenticate, validate(idParam), async (req, res) => {
+  try {
+    const candidate = await DuplicateCandidate.findById(req.params.id);
+    if (!candidate || candidate.status !== "pending") {
+      return sendError(res, 404, "Pending duplicate not found");
+    }
+    for (const memberId of candidate.members) {
+      if (!(await loadMember(req, res, memberId))) return;
+    }
+
+    candidate.status = "dismissed";
+    candidate.resolvedBy = actorOf(req);
+    candidate.resolvedAt = new Date();
+    await candidate.save();
+
+    res.json({ success: true, message: "Marked as not a duplicate" });
+  } catch (err) {
+    console.error("Duplicate dismiss error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Merge { keepId, mergeId }: keepId survives with its own details, gains mergeId's history
+// and references; mergeId is deleted (a snapshot is kept in the "merged" history entry).
+app.post("/api/members/merge", authenticate, validate({
+  body: Joi.object({
+    keepId: rules.id.required(),
+    mergeId: rules.id.required().invalid(Joi.ref("keepId")).messages({
+      "any.invalid": "keepId and mergeId must be two different members"
+    })
+  })
+}), async (req, res) => {
+  try {
+    const { keepId, mergeId } = req.body;
+
+    const keep = await loadMember(req, res, keepId);
+    if (!keep) return;
+    const other = await loadMember(req, res, mergeId);
+    if (!other) return;
+
+    const snapshot = other.toObject();
+    delete snapshot.history;
+
+    const history = [...keep.history, ...other.history]
+      .map(entry => entry.toObject())
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    history.push({
+      action: "merged",
+      cell: keep.cell,
+      note: `Merged duplicate ${other.fullName} <${other.email}>`,
+      changes: { mergedMember: snapshot },
+      by: actorOf(req)
+    });
+
+    const pairKey = [String(keep._id), String(other._id)].sort().join(":");
+
+    await runInTransaction(async session => {
+      await repointMemberReferences(other._id, keep._id, session);
+
+      await Member.deleteOne({ _id: other._id }, { session });
+
+      keep.history = history;
+      if (other.status === "active") keep.status = "active";
+      if (other.createdAt < keep.createdAt) keep.createdAt = other.createdAt;
+      await keep.save({ session });
+
+      await DuplicateCandidate.updateOne(
+        { pairKey },
+        {
+          $set: { status: "merged", resolvedBy: actorOf(req), resolvedAt: new Date() },
+          $setOnInsert: { members: pairKey.split(":"), reasons: [] }
+        },
+        { upsert: true, session }
+      );
+      // Other pending pairs involving the removed member are stale
+      await DuplicateCandidate.deleteMany({ members: other._id, status: "pending" }, { session });
+    });
+
+    res.json({ success: true, message: "Members merged successfully", data: keep });
+  } catch (err) {
+    console.error("Member merge error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Single member
+app.get("/api/members/:id", authenticate, validate(idParam), async (req, res) => {
+  try {
+    const member = await loadMember(req, res);
+    if (!member) return;
+    await member.populate([{ path: "district", select: "name" }, { path: "cell", select: "name" }]);
+    res.json({ success: true, data: member });
+  } catch (err) {
+    console.error("Error fetching member:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Edit contact details
+app.put("/api/members/:id", authenticate, validate({
+  ...idParam,
+  body: Joi.object({
+    fullName: rules.name.allow(""),
+    address: Joi.string().trim().max(500).allow(""),
+    phone: rules.phone.allow(""),
+    email: rules.email.allow("")
+  })
+}), async (req, res) => {
+  try {
+    const member = await loadMember(req, res);
+    if (!member) return;
+
+    const changes = {};
+    for (const field of ["fullName", "address", "phone", "email"]) {
+      if (typeof req.body[field] !== "string" || !req.body[field].trim()) continue;
+      let value = req.body[field].trim().replace(/\s+/g, " ");
+      if (field === "email") value = value.toLowerCase();
+      if (value !== member[field]) changes[field] = { from: member[field], to: value };
+    }
+
+    if (!Object.keys(changes).length) {
+      return sendError(res, 400, "Nothing to update");
+    }
+
+    if (changes.email) {
+      const taken = await Member.findOne({ email: changes.email.to, _id: { $ne: member._id } });
+      if (taken) {
+        return sendError(res, 400, "Email already registered", { code: "DUPLICATE" });
+      }
+    }
+
+    for (const [field, { to }] of Object.entries(changes)) member[field] = to;
+    member.history.push({ action: "updated", cell: member.cell, changes, by: actorOf(req) });
+    await member.save();
+
+    res.json({ success: true, message: "Member updated successfully", data: member });
+  } catch (err) {
+    console.error("Member update error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Transfer to another cell (caller must manage both cells)
+app.post("/api/members/:id/transfer", authenticate, validate({
+  ...idParam,
+  body: Joi.object({ cell: rules.id.required(), note: Joi.string().allow("").max(1000) })
+}), async (req, res) => {
+  try {
+    const member = await loadMember(req, res);
+    if (!member) return;
+
+    const { cell: cellId, note } = req.body;
+    if (String(member.cell) === String(cellId)) {
+      return sendError(res, 400, "Member is already in this cell");
+    }
+
+    const target = await Cell.findById(cellId);
+    if (!target || target.status === "archived") {
+      return sendError(res, 400, "Destination cell not found or archived");
+    }
+    if (!(await canManageNode(req.auth, "cell", target))) {
+      return sendError(res, 403, "Not authorized for the destination cell");
+    }
+
+    const fromCell = member.cell;
+    member.cell = target._id;
+    member.district = target.district;
+    member.history.push({ action: "transferred", fromCell, cell: target._id, note, by: actorOf(req) });
+    await member.save();
+
+    res.json({ success: true, message: "Member transferred successfully", data: member });
+  } catch (err) {
+    console.error("Member transfer error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Mark inactive (left the church, moved away, …) or bring back
+for (const [action, status] of [["deactivate", "inactive"], ["reactivate", "active"]]) {
+  app.post(`/api/members/:id/${action}`, authenticate, validate({
+    ...idParam,
+    body: Joi.object({ reason: Joi.string().allow("").max(1000) })
+  }), async (req, res) => {
+    try {
+      const member = await loadMember(req, res);
+      if (!member) return;
+
+      if (member.status === status) {
+        return sendError(res, 400, `Member is already ${status}`);
+      }
+
+      member.status = status;
+      member.history.push({ action: `${action}d`, cell: member.cell, note: req.body.reason, by: actorOf(req) });
+      await member.save();
+
+      res.json({ success: true, message: `Member ${action}d`, data: member });
+    } catch (err) {
+      console.error(`Member ${action} error:`, err);
+      sendServerError(res, err);
+    }
+  });
+}
+
+// History, oldest first, with cell names resolved
+app.get("/api/members/:id/history", authenticate, validate(idParam), async (req, res) => {
+  try {
+    const member = await loadMember(req, res);
+    if (!member) return;
+
+    // Members registered before history existed get a synthetic "joined" entry
+    const history = member.history.length
+      ? member.history.map(entry => entry.toObject())
+      : [{ action: "joined", cell: member.cell, date: member.createdAt }];
+
+    const cellIds = history.flatMap(entry => [entry.cell, entry.fromCell]).filter(Boolean);
+    const cells = await Cell.find({ _id: { $in: cellIds } }).select("name");
+    const names = new Map(cells.map(c => [String(c._id), c.name]));
+    const withNames = ref => ref && { _id: ref, name: names.get(String(ref)) || "(deleted cell)" };
+
+    res.json({
+      success: true,
+      data: {
+        member: { _id: member._id, fullName: member.fullName, status: member.status },
+        history: history.map(entry => ({ ...entry, cell: withNames(entry.cell), fromCell: withNames(entry.fromCell) }))
+      }
+    });
+  } catch (err) {
+    console.error("Member history error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Cell meetings & attendance
+// ======================
+MEMBER_REFERENCES.push(
+  { model: Meeting, path: "attendees", isArray: true },
+  { model: Meeting, path: "invitedBy", within: "guests" }
+);
+
+// Meeting fields; date and topic are required on create only
+const meetingBody = Joi.object({
+  date: rules.date.required(),
+  topic: Joi.string().trim().max(200).required(),
+  location: Joi.string().trim().allow("").max(500),
+  notes: Joi.string().trim().allow("").max(5000),
+  attendees: Joi.array().items(rules.id),
+  guests: Joi.array().items(Joi.object({
+    fullName: rules.name.required(),
+    phone: rules.phone.allow(""),
+    email: rules.email.allow(""),
+    invitedBy: rules.id
+  }))
+});
+const meetingUpdateBody = meetingBody.fork(["date", "topic"], field => field.optional());
+
+// Clean meeting fields from an already-validated body. Attendees must be members of `cellId`.
+// Returns { values } or { error }.
+async function parseMeetingBody(body, cellId) {
+  const values = {};
+
+  if (body.date !== undefined) values.date = new Date(body.date);
+  for (const field of ["topic", "location", "notes"]) {
+    if (typeof body[field] === "string") values[field] = body[field].trim();
+  }
+
+  if (body.attendees !== undefined) {
+    const ids = [...new Set(body.attendees.map(String))];
+    const found = await Member.countDocuments({ _id: { $in: ids }, cell: cellId });
+    if (found !== ids.length) return { error: "Every attendee must be a member of this cell" };
+    values.attendees = ids;
+  }
+
+  if (body.guests !== undefined) {
+    values.guests = body.guests.map(g => ({
+      fullName: g.fullName.trim().replace(/\s+/g, " "),
+      phone: g.phone?.trim(),
+      email: g.email?.trim().toLowerCase(),
+      invitedBy: g.invitedBy
+    }));
+  }
+
+  return { values };
+}
+
+// Load a meeting whose cell the caller may manage
+async function loadMeeting(req, res) {
+  const meeting = await Meeting.findById(req.params.id);
+  if (!meeting) {
+    sendError(res, 404, "Meeting not found");
+    return null;
+  }
+  const cell = await Cell.findById(meeting.cell);
+  if (!cell || !(await canManageNode(req.auth, "cell", cell))) {
+    sendError(res, 403, "Not authorized for this meeting");
+    return null;
+  }
+  return meeting;
+}
+
+// Record a meeting: { date, topic, location?, notes?, attendees: [memberId], guests: [{ fullName, phone?, email? }] }
+app.post("/api/cell/:id/meetings", authenticate, validate({ ...idParam, body: meetingBody }), async (req, res) => {
+  try {
+    const cell = await loadNode("cell", req.params.id, res);
+    if (!cell) return;
+    if (!(await canManageNode(req.auth, "cell", cell))) {
+      return sendError(res, 403, "Not authorized");
+    }
+    if (cell.status === "archived") {
+      return sendError(res, 400, "Cell is archived");
+    }
+
+    const { values, error } = await parseMeetingBody(req.body, cell._id);
+    if (error) {
+      return sendError(res, 400, error, { code: "INVALID_REFERENCE" });
+    }
+
+    const meeting = await Meeting.create({ ...values, cell: cell._id, recordedBy: actorOf(req) });
+    res.status(201).json({ success: true, message: "Meeting recorded successfully", data: meeting });
+  } catch (err) {
+    console.error("Meeting create error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Meetings of a cell (newest first) with attendance counts; ?from=&to= limit the date range
+app.get("/api/cell/:id/meetings", authenticate, validate({
+  ...idParam,
+  query: Joi.object({ from: rules.date, to: rules.date, limit: Joi.number().integer().min(1) })
+}), async (req, res) => {
+  try {
+    const cell = await loadNode("cell", req.params.id, res);
+    if (!cell) return;
+    if (!(await canManageNode(req.auth, "cell", cell))) {
+      return sendError(res, 403, "Not authorized");
+    }
+
+    const filter = { cell: cell._id };
+    if (req.query.from || req.query.to) {
+      filter.date = {};
+      if (req.query.from) filter.date.$gte = new Date(req.query.from);
+      if (req.query.to) filter.date.$lte = new Date(req.query.to);
+    }
+
+    const meetings = await Meeting.find(filter).sort({ date: -1 }).limit(parseLimit(req.query.limit));
+    const data = meetings.map(m => ({
+      _id: m._id,
+      date: m.date,
+      topic: m.topic,
+      location: m.location,
+      attendance: { members: m.attendees.length, guests: m.guests.length, total: m.attendees.length + m.guests.length }
+    }));
+
+    res.json({ success: true, data });
+  } catch (err) {
+    console.error("Error fetching meetings:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Single meeting with attendee details
+app.get("/api/meetings/:id", authenticate, validate(idParam), async (req, res) => {
+  try {
+    const meeting = await loadMeeting(req, res);
+    if (!meeting) return;
+    await meeting.populate([
+      { path: "cell", select: "name" },
+      { path: "attendees", select: "fullName phone email status" }
+    ]);
+    res.json({ success: true, data: meeting });
+  } catch (err) {
+    console.error("Error fetching meeting:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Update any meeting fields (attendees/guests replace the whole list)
+app.put("/api/meetings/:id", authenticate, validate({ ...idParam, body: meetingUpdateBody }), async (req, res) => {
+  try {
+    const meeting = await loadMeeting(req, res);
+    if (!meeting) return;
+
+    const { values, error } = await parseMeetingBody(req.body, meeting.cell);
+    if (error) {
+      return sendError(res, 400, error, { code: "INVALID_REFERENCE" });
+    }
+    if (!Object.keys(values).length) {
+      return sendError(res, 400, "Nothing to update");
+    }
+
+    Object.assign(meeting, values);
+    await meeting.save();
+    res.json({ success: true, message: "Meeting updated successfully", data: meeting });
+  } catch (err) {
+    console.error("Meeting update error:", err);
+    sendServerError(res, err);
+  }
+});
+
+app.delete("/api/meetings/:id", authenticate, validate(idParam), async (req, res) => {
+  try {
+    const meeting = await loadMeeting(req, res);
+    if (!meeting) return;
+    await meeting.deleteOne();
+    res.json({ success: true, message: "Meeting deleted" });
+  } catch (err) {
+    console.error("Meeting delete error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Weekly cell reports & roll-ups
+// ======================
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Monday 00:00 UTC of the week containing `date`
+function startOfWeek(date = new Date()) {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d;
+}
+
+const toCount = value => Math.max(0, parseInt(value, 10) || 0);
+const toTextList = value =>
+  (Array.isArray(value) ? value : value ? [value] : [])
+    .map(v => String(v).trim())
+    .filter(Boolean);
+
+// Submit (or resubmit) a cell's report for a week.
+// { weekStart?, attendance?, newConverts, firstTimers, testimonies: [], prayerRequests: [], notes? }
+// attendance defaults to members + guests across that week's recorded meetings. Archived cells can't report.
+const reportTextList = Joi.alternatives(Joi.string().allow("").max(2000), Joi.array().items(Joi.string().allow("").max(2000)));
+const reportCount = Joi.alternatives(Joi.number().integer().min(0), Joi.string().valid(""));
+
+app.post("/api/cell/:id/reports", authenticate, validate({
+  ...idParam,
+  body: Joi.object({
+    weekStart: rules.date,
+    attendance: reportCount,
+    newConverts: reportCount,
+    firstTimers: reportCount,
+    testimonies: reportTextList,
+    prayerRequests: reportTextList,
+    notes: Joi.string().allow("").max(5000)
+  })
+}), async (req, res) => {
+  try {
+    const cell = await loadNode("cell", req.params.id, res);
+    if (!cell) return;
+    if (!(await canManageNode(req.auth, "cell", cell))) {
+      return sendError(res, 403, "Not authorized");
+    }
+    if (cell.status === "archived") {
+      return sendError(res, 400, "Cell is archived");
+    }
+
+    const weekStart = startOfWeek(req.body.weekStart || new Date());
+    if (weekStart > new Date()) {
+      return sendError(res, 400, "Can't report on a future week");
+    }
+
+    let attendance = req.body.attendance;
+    if (attendance === undefined || attendance === "") {
+      const meetings = await Meeting.find({
+        cell: cell._id,
+        date: { $gte: weekStart, $lt: new Date(weekStart.getTime() + WEEK_MS) }
+      }).select("attendees guests");
+      attendance = meetings.reduce((sum, m) => sum + m.attendees.length + m.guests.length, 0);
+    }
+
+    const report = await CellReport.findOneAndUpdate(
+      { cell: cell._id, weekStart },
+      {
+        $set: {
+          campus: cell.campus,
+          district: cell.district,
+          community: cell.community,
+          attendance: toCount(attendance),
+          newConverts: toCount(req.body.newConverts),
+          firstTimers: toCount(req.body.firstTimers),
+          testimonies: toTextList(req.body.testimonies),
+          prayerRequests: toTextList(req.body.prayerRequests),
+          notes: typeof req.body.notes === "string" ? req.body.notes.trim() : "",
+          submittedBy: actorOf(req)
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(201).json({ success: true, message: "Report submitted successfully", data: report });
+  } catch (err) {
+    console.error("Cell report error:", err);
+    sendServerError(res, err);
+  }
+});
+
+const reportNodeQuery = {
+  campusId: rules.id,
+  districtId: rules.id,
+  communityId: rules.id,
+  cellId: rules.id
+};
+
+// Resolve the node a report query is about: ?campusId= | ?districtId= | ?communityId= | ?cellId=,
+// defaulting to the caller's own node. Superadmins without a param get the whole platform ({ level: null }).
+async function resolveReportNode(req, res) {
+  const params = {
+    campus: req.query.campusId,
+    district: req.query.districtId,
+    community: req.query.communityId,
+    cell: req.query.cellId
+  };
+  let level = HIERARCHY_LEVELS.find(l => params[l]);
+  let id = level && params[level];
+
+  if (!level) {
+    if (req.auth.role === "superadmin") return { level: null, node: null };
+    level = req.auth.role;
+    id = req.auth.id;
+  }
+
+  const node = await loadNode(level, id, res);
+  if (!node) return null;
+  if (!(await canManageNode(req.auth, level, node))) {
+    sendError(res, 403, "Not authorized");
+    return null;
+  }
+  return { level, node };
+}
+
+// Raw reports in a subtree (testimonies, prayer requests…), newest first. ?from=&to=&limit=
+app.get("/api/reports", authenticate, validate({
+  query: Joi.object({ ...reportNodeQuery, from: rules.date, to: rules.date, limit: Joi.number().integer().min(1) })
+}), async (req, res) => {
+  try {
+    const target = await resolveReportNode(req, res);
+    if (!target) return;
+
+    const filter = target.level ? { [target.level]: target.node._id } : {};
+    if (req.query.from || req.query.to) {
+      filter.weekStart = {};
+      if (req.query.from) filter.weekStart.$gte = startOfWeek(req.query.from);
+      if (req.query.to) filter.weekStart.$lte = startOfWeek(req.query.to);
+    }
+
+    const reports = await CellReport.find(filter)
+      .sort({ weekStart: -1, cell: 1 })
+      .limit(parseLimit(req.query.limit))
+      .populate("cell", "name");
+
+    res.json({ success: true, data: reports });
+  } catch (err) {
+    console.error("Error fetching reports:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Week-by-week totals for a subtree with week-over-week change, plus a per-child breakdown
+// of the latest week. ?weeks= (default 8, max 52) and the node params of resolveReportNode.
+app.get("/api/reports/summary", authenticate, validate({
+  query: Joi.object({ ...reportNodeQuery, weeks: Joi.number().integer().min(1) })
+}), async (req, res) => {
+  try {
+    const target = await resolveReportNode(req, res);
+    if (!target) return;
+    const { level, node } = target;
+
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 8, 1), 52);
+    const currentWeek = startOfWeek();
+    const firstWeek = new Date(currentWeek.getTime() - (weeks - 1) * WEEK_MS);
+    const match = { weekStart: { $gte: firstWeek } };
+    if (level) match[level] = node._id;
+
+    const totals = {
+      attendance: { $sum: "$attendance" },
+      newConverts: { $sum: "$newConverts" },
+      firstTimers: { $sum: "$firstTimers" },
+      testimonies: { $sum: { $size: "$testimonies" } },
+      prayerRequests: { $sum: { $size: "$prayerRequests" } },
+      reports: { $sum: 1 }
+    };
+
+    const byWeek = await CellReport.aggregate([
+      { $match: match },
+      { $group: { _id: "$weekStart", ...totals } }
+    ]);
+
+    // Active cells expected to report, for a submission rate
+    const cellFilter = { status: { $ne: "archived" } };
+    if (level) Object.assign(cellFilter, level === "cell" ? { _id: node._id } : { [level]: node._id });
+    const expectedReports = await Cell.countDocuments(cellFilter);
+
+    // Continuous series (weeks without reports are zeros) with change vs the previous week
+    const empty = { attendance: 0, newConverts: 0, firstTimers: 0, testimonies: 0, prayerRequests: 0, reports: 0 };
+    const found = new Map(byWeek.map(({ _id, ...t }) => [_id.getTime(), t]));
+    const series = [];
+    for (let i = 0; i < weeks; i++) {
+      const weekStart = new Date(firstWeek.getTime() + i * WEEK_MS);
+      const weekTotals = { ...empty, ...found.get(weekStart.getTime()) };
+      const previous = series[series.length - 1]?.totals;
+
+      const change = {};
+      if (previous) {
+        for (const key of Object.keys(empty)) {
+          const delta = weekTotals[key] - previous[key];
+          change[key] = { delta, pct: previous[key] ? Math.round((delta / previous[key]) * 1000) / 10 : null };
+        }
+      }
+
+      series.push({
+        weekStart,
+        totals: weekTotals,
+        submissionRate: expectedReports ? Math.round((weekTotals.reports / expectedReports) * 100) / 100 : null,
+        change: previous ? change : null
+      });
+    }
+
+    // Latest week split by the level directly below
+    const childField = { campus: "district", district: "community", community: "cell" }[level] || (level ? null : "campus");
+    let children = [];
+    if (childField) {
+      const rows = await CellReport.aggregate([
+        { $match: { ...match, weekStart: currentWeek } },
+        { $group: { _id: `$${childField}`, ...totals } }
+      ]);
+      const names = await ROLE_MODELS[childField].find({ _id: { $in: rows.map(r => r._id) } }).select("name");
+      const nameOf = new Map(names.map(n => [String(n._id), n.name]));
+      children = rows
+        .map(({ _id, ...t }) => ({ _id, level: childField, name: nameOf.get(String(_id)) || "", totals: t }))
+        .sort((a, b) => b.totals.attendance - a.totals.attendance);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        node: level ? { _id: node._id, level, name: node.name } : { level: "platform" },
+        expectedReports,
+        weeks: series,
+        children
+      }
+    });
+  } catch (err) {
+    console.error("Report summary error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Missing-report & inactivity alerts
+// ======================
+// A job re-evaluates every active cell (ALERT_INTERVAL_HOURS, default 24) and flags cells with
+// no report, no recorded meeting, or no new member in ALERT_WEEKS (default 2) weeks.
+// With ALERT_DIGEST=true each community/district leader also gets a digest via the notifier.
+const ALERT_WEEKS = parseInt(process.env.ALERT_WEEKS, 10) || 2;
+const ALERT_INTERVAL_HOURS = parseFloat(process.env.ALERT_INTERVAL_HOURS) || 24;
+const ALERT_DIGEST = process.env.ALERT_DIGEST === "true";
+
+const ALERT_LABELS = {
+  no_report: "no weekly report",
+  no_meeting: "no meeting recorded",
+  no_new_members: "no new members"
+};
+
+// Latest activity date per cell for a collection
+async function latestPerCell(model, dateField, cellIds) {
+  const rows = await model.aggregate([
+    { $match: { cell: { $in: cellIds } } },
+    { $group: { _id: "$cell", last: { $max: `$${dateField}` } } }
+  ]);
+  return new Map(rows.map(r => [String(r._id), r.last]));
+}
+
+async function evaluateCellAlerts({ weeks = ALERT_WEEKS } = {}) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - weeks * WEEK_MS);
+  const cells = await Cell.find({ status: { $ne: "archived" } }).select("name campus district community createdAt");
+  const cellIds = cells.map(c => c._id);
+
+  const [lastReport, lastMeeting, lastJoin] = await Promise.all([
+    latestPerCell(CellReport, "weekStart", cellIds),
+    latestPerCell(Meeting, "date", cellIds),
+    latestPerCell(Member, "createdAt", cellIds)
+  ]);
+
+  const alerts = [];
+  for (const cell of cells) {
+    // Brand-new cells get a grace period
+    if (cell.createdAt && cell.createdAt > cutoff) continue;
+
+    const checks = {
+      no_report: lastReport.get(String(cell._id)),
+      no_meeting: lastMeeting.get(String(cell._id)),
+      no_new_members: lastJoin.get(String(cell._id))
+    };
+    for (const [type, last] of Object.entries(checks)) {
+      if (last && last >= cutoff) continue;
+      alerts.push({
+        cell: cell._id,
+        community: cell.community,
+        district: cell.district,
+        campus: cell.campus,
+        type,
+        lastActivity: last || null,
+        weeksInactive: last ? Math.floor((now - last) / WEEK_MS) : null,
+        generatedAt: now
+      });
+    }
+  }
+
+  // Update in place, then drop alerts this run didn't confirm, so readers never see the
+  // list empty while it is being rebuilt
+  if (alerts.length) {
+    await CellAlert.bulkWrite(alerts.map(alert => ({
+      updateOne: { filter: { cell: alert.cell, type: alert.type }, update: { $set: alert }, upsert: true }
+    })), { ordered: false });
+  }
+  await CellAlert.deleteMany({ generatedAt: { $lt: now } });
+  return { generatedAt: now, cells: cells.length, alerts };
+}
+
+// One message per community and district leader listing their flagged cells
+async function sendAlertDigests(alerts) {
+  const cellNames = new Map(
+    (await Cell.find({ _id: { $in: alerts.map(a => a.cell) } }).select("name")).map(c => [String(c._id), c.name])
+  );
+
+  for (const level of ["community", "district"]) {
+    const byLeader = new Map();
+    for (const alert of alerts) {
+      const key = String(alert[level]);
+      if (!byLeader.has(key)) byLeader.set(key, []);
+      byLeader.get(key).push(alert);
+    }
+
+    for (const [id, list] of byLeader) {
+      const leader = await ROLE_MODELS[level].findById(id);
+      if (!leader || !canSignIn(leader)) continue;
+      const to = contactOf(level, leader);
+      if (!to.email && !to.phone) continue;
+
+      const lines = list.map(a => {
+        const since = a.lastActivity ? `since ${a.lastActivity.toISOString().slice(0, 10)}` : "ever";
+        return `- ${cellNames.get(String(a.cell)) || a.cell}: ${ALERT_LABELS[a.type]} ${since}`;
+      });
+
+      try {
+        await notifier.send({
+          to,
+          subject: `Harvesters Hub: ${list.length} cell alert(s) in ${leader.name}`,
+          text: `Hello ${leader.name},\n\nThese cells need attention:\n${lines.join("\n")}`
+        });
+      } catch (err) {
+        console.error(`Alert digest to ${level} ${id} failed:`, err.message);
+      }
+    }
+  }
+}
+
+async function runAlertJob() {
+  try {
+    const { alerts, cells } = await evaluateCellAlerts();
+    console.log(`🔔 Alert job: ${alerts.length} alert(s) across ${cells} cell(s)`);
+    if (ALERT_DIGEST && alerts.length) await sendAlertDigests(alerts);
+  } catch (err) {
+    console.error("Alert job error:", err);
+  }
+}
+
+function startAlertJob() {
+  if (ALERT_INTERVAL_HOURS <= 0) return;
+  setInterval(runAlertJob, ALERT_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+  runAlertJob();
+}
+
+// Alerts in the caller's area (same node params as /api/reports); ?type= narrows to one kind
+app.get("/api/alerts", authenticate, validate({
+  query: Joi.object({ ...reportNodeQuery, type: Joi.string().valid(...Object.keys(ALERT_LABELS)) })
+}), async (req, res) => {
+  try {
+    const target = await resolveReportNode(req, res);
+    if (!target) return;
+
+    const filter = target.level ? { [target.level]: target.node._id } : {};
+    if (req.query.type) filter.type = req.query.type;
+
+    const alerts = await CellAlert.find(filter)
+      .sort({ weeksInactive: -1 })
+      .populate("cell", "name leader phone")
+      .populate("community", "name")
+      .populate("district", "name");
+
+    res.json({
+      success: true,
+      data: alerts,
+      weeksThreshold: ALERT_WEEKS,
+      generatedAt: alerts[0]?.generatedAt || null
+    });
+  } catch (err) {
+    console.error("Error fetching alerts:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Re-run the evaluation now (super admins); ?digest=true also sends the digests
+app.post("/api/alerts/run", authenticate, authorize("superadmin"), validate({
+  query: Joi.object({ digest: rules.flag })
+}), async (req, res) => {
+  try {
+    const { alerts, cells, generatedAt } = await evaluateCellAlerts();
+    if (req.query.digest === "true" && alerts.length) await sendAlertDigests(alerts);
+    res.json({ success: true, message: "Alerts regenerated", cells, alerts: alerts.length, generatedAt });
+  } catch (err) {
+    console.error("Alert run error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// CSV / XLSX exports
+// ======================
+// GET /api/export/{members|cells|communities|districts|attendance}?format=csv|xlsx&<list filters>
+// Rows are streamed from a Mongo cursor straight into the response, so size doesn't matter.
+// members takes the /api/members filters; cells/communities/districts the list filters;
+// attendance takes the /api/reports node params plus ?from=&to= (one row per attendee or guest).
+
+const fmtDate = value => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+const EXPORTS = {
+  members: {
+    columns: [
+      { header: "Full name", key: "fullName", width: 28 },
+      { header: "Email", key: "email", width: 30 },
+      { header: "Phone", key: "phone", width: 18 },
+      { header: "Address", key: "address", width: 36 },
+      { header: "District", key: "district", width: 22 },
+      { header: "Cell", key: "cell", width: 22 },
+      { header: "Status", key: "status", width: 10 },
+      { header: "Joined", key: "joined", width: 12 }
+    ],
+    query: memberListQuery,
+    async cursor(req) {
+      const { filter, error } = await buildMemberFilter(req);
+      if (error) return { error };
+      return {
+        cursor: Member.find(filter).select("-history").sort({ fullName: 1 })
+          .populate("district", "name").populate("cell", "name").cursor()
+      };
+    },
+    rows: m => [{
+      fullName: m.fullName, email: m.email, phone: m.phone, address: m.address,
+      district: m.district?.name || "", cell: m.cell?.name || "",
+      status: m.status || "active", joined: fmtDate(m.createdAt)
+    }]
+  },
+
+  cells: {
+    columns: [
+      { header: "Cell", key: "name", width: 24 },
+      { header: "Leader", key: "leader", width: 24 },
+      { header: "Phone", key: "phone", width: 18 },
+      { header: "Email", key: "email", width: 30 },
+      { header: "Address", key: "address", width: 36 },
+      { header: "Community", key: "community", width: 22 },
+      { header: "District", key: "district", width: 22 },
+      { header: "Campus", key: "campus", width: 22 },
+      { header: "Status", key: "status", width: 10 },
+      { header: "Registered", key: "registered", width: 12 }
+    ],
+    query: listQuery,
+    async cursor(req) {
+      return {
+        cursor: Cell.find(await listFilter(req, "cell")).sort({ name: 1 })
+          .populate("campus", "name").populate("district", "name").populate("community", "name").cursor()
+      };
+    },
+    rows: c => [{
+      name: c.name, leader: c.leader, phone: c.phone, email: c.email, address: c.address,
+      community: c.community?.name || "", district: c.district?.name || "", campus: c.campus?.name || "",
+      status: c.status || "active", registered: fmtDate(c.dateRegistered || c.createdAt)
+    }]
+  },
+
+  communities: {
+    columns: [
+      { header: "Community", key: "name", width: 24 },
+      { header: "Leader", key: "leader", width: 24 },
+      { header: "Leader phone", key: "leaderPhone", width: 18 },
+      { header: "District", key: "district", width: 22 },
+      { header: "Status", key: "status", width: 10 },
+      { header: "Registered", key: "registered", width: 12 }
+    ],
+    query: listQuery,
+    async cursor(req) {
+      return {
+        cursor: Community.find(await listFilter(req, "community")).sort({ name: 1 })
+          .populate("district", "name").cursor()
+      };
+    },
+    rows: c => [{
+      name: c.name, leader: c.leader, leaderPhone: c.leaderPhone, district: c.district?.name || "",
+      status: c.status || "active", registered: fmtDate(c.createdAt)
+    }]
+  },
 
-    if (campusId) filter.campus = campusId;
-    if (districtId) filter.district = districtId;
-    if (communityId) filter.community = communityId;
+  districts: {
+    columns: [
+      { header: "District", key: "name", width: 24 },
+      { header: "Email", key: "email", width: 30 },
+      { header: "Campus", key: "campus", width: 22 },
+      { header: "Status", key: "status", width: 10 },
+      { header: "Registered", key: "registered", width: 12 }
+    ],
+    query: listQuery,
+    async cursor(req) {
+      return {
+        cursor: District.find(await listFilter(req, "district")).sort({ name: 1 })
+          .populate("campus", "name").cursor()
+      };
+    },
+    rows: d => [{
+      name: d.name, email: d.email, campus: d.campus?.name || "",
+      status: d.status || "active", registered: fmtDate(d.createdAt)
+    }]
+  },
 
-    const cells = await Cell.find(filter)
-      .populate("campus", "name")
-      .populate("district", "name")
-      .populate("community", "name");
+  attendance: {
+    columns: [
+      { header: "Date", key: "date", width: 12 },
+      { header: "Cell", key: "cell", width: 22 },
+      { header: "Topic", key: "topic", width: 30 },
+      { header: "Location", key: "location", width: 24 },
+      { header: "Attendee", key: "name", width: 28 },
+      { header: "Type", key: "type", width: 8 },
+      { header: "Phone", key: "phone", width: 18 },
+      { header: "Email", key: "email", width: 30 }
+    ],
+    query: Joi.object({ ...reportNodeQuery, from: rules.date, to: rules.date }),
+    async cursor(req, res) {
+      const target = await resolveReportNode(req, res);
+      if (!target) return { handled: true };
+
+      const cellFilter = !target.level ? {}
+        : target.level === "cell" ? { _id: target.node._id }
+        : { [target.level]: target.node._id };
+      const cells = await Cell.find(cellFilter).select("_id");
+
+      const filter = { cell: { $in: cells.map(c => c._id) } };
+      if (req.query.from || req.query.to) {
+        filter.date = {};
+        if (req.query.from) filter.date.$gte = new Date(req.query.from);
+        if (req.query.to) filter.date.$lte = new Date(req.query.to);
+      }
+      return {
+        cursor: Meeting.find(filter).sort({ date: -1 })
+          .populate("cell", "name").populate("attendees", "fullName phone email").cursor()
+      };
+    },
+    rows: m => {
+      const base = { date: fmtDate(m.date), cell: m.cell?.name || "", topic: m.topic, location: m.location };
+      return [
+        ...m.attendees.map(a => ({ ...base, name: a.fullName, type: "member", phone: a.phone, email: a.email })),
+        ...m.guests.map(g => ({ ...base, name: g.fullName, type: "guest", phone: g.phone || "", email: g.email || "" }))
+      ];
+    }
+  }
+};
+
+// Only values that are entirely a phone number / plain number may start with + or -
+const PHONE_LIKE = /^\+?[\d\s().-]+$/;
+
+// CSV field: quote when needed, and neutralize spreadsheet formulas
+function csvField(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !PHONE_LIKE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Backpressure: wait until the client has taken what is buffered. Stops the export if the
+// client went away, since "drain" would never come.
+async function drained(res) {
+  if (res.writableNeedDrain) {
+    const ac = new AbortController();
+    await Promise.race([
+      once(res, "drain", { signal: ac.signal }),
+      once(res, "close", { signal: ac.signal })
+    ]).finally(() => ac.abort());
+  }
+  if (res.destroyed) throw new Error("Client disconnected during export");
+}
+
+// Streaming writer with the same interface for both formats
+function createExportWriter(res, format, name, columns) {
+  const filename = `${name}-${fmtDate(new Date())}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  if (format === "xlsx") {
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns;
+    return {
+      async write(row) {
+        sheet.addRow(row).commit();
+        await new Promise(resolve => setImmediate(resolve)); // let the zip stream flush into res
+        await drained(res);
+      },
+      async end() {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
 
-    res.json({ success: true, data: cells });
-  } catch (err) {
-    console.error("Error fetching cells:", err);
-    res.status(500).json({ success: false, message: "Server error", error: err.message });
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  const writeLine = async line => {
+    res.write(line + "\r\n");
+    await drained(res);
+  };
+  // BOM so Excel reads UTF-8, then the header row
+  res.write("\uFEFF" + columns.map(c => csvField(c.header)).join(",") + "\r\n");
+  return {
+    async write(row) {
+      await writeLine(columns.map(c => csvField(row[c.key])).join(","));
+    },
+    async end() {
+      res.end();
+    }
+  };
+}
+
+// Each export checks its own filters plus ?format=
+function validateExport(req, res, next) {
+  const spec = EXPORTS[req.params.entity];
+  if (!spec) {
+    return sendError(res, 404, "Unknown export");
   }
-});
+  validate({ query: spec.query.keys({ format: Joi.string().valid("csv", "xlsx") }) })(req, res, next);
+}
 
-// --------------------------------------------------
-// Get Communities by District
-// --------------------------------------------------
-app.get("/api/communities", async (req, res) => {
+app.get("/api/export/:entity", authenticate, validateExport, async (req, res) => {
   try {
-    const { district } = req.query;
-    if (!district) {
-      return res.status(400).json({ success: false, message: "District ID required" });
+    const spec = EXPORTS[req.params.entity];
+    const format = req.query.format || "csv";
+
+    const { cursor, error, handled } = await spec.cursor(req, res);
+    if (handled) return;
+    if (error) {
+      return sendError(res, 400, error);
     }
 
-    const communities = await Community.find({ district }).sort({ createdAt: -1 });
-    res.json({ success: true, data: communities });
+    const writer = createExportWriter(res, format, req.params.entity, spec.columns);
+    for await (const doc of cursor) {
+      for (const row of spec.rows(doc)) await writer.write(row);
+    }
+    await writer.end();
   } catch (err) {
-    console.error("Error fetching communities:", err);
-    res.status(500).json({ success: false, message: "Server error" });
+    console.error("Export error:", err);
+    if (!res.headersSent) {
+      return sendServerError(res, err);
+    }
+    res.destroy(err);
   }
 });
+
 // ======================
-// Universal Login
+// Bulk CSV import (cells, members)
 // ======================
-app.post("/api/universal-login", async (req, res) => {
-  try {
-    const { identifier, password } = req.body; // identifier = email | campus | district | cell
+// POST /api/import/{cells|members}?mode=dry-run|commit  (multipart field "file")
+// cells:   name, campus, district, community, address, leader, phone, email, password
+// members: fullName, address, phone, email, cell
+// Parents are matched by name (normalizedName) inside the caller's scope. dry-run (default)
+// only validates; commit inserts every valid row in one transaction and reports the rest.
+// Member rows also list likely duplicates (possibleDuplicates: existing members and earlier
+// rows); on commit the new members are queued for duplicate review like registered ones.
+
+// Rows go through the same field rules as the register routes
+const failsRule = (rule, value) => Boolean(rule.validate(value).error);
+const cleanCell = value => String(value ?? "").trim().replace(/\s+/g, " ");
+const byNormalizedName = (docs, keyOf = d => d.normalizedName) => new Map(docs.map(d => [keyOf(d), d]));
+
+const IMPORTS = {
+  cells: {
+    roles: ["superadmin", "campus", "district", "community"],
+    required: ["name", "campus", "district", "community", "address", "leader", "phone", "email", "password"],
+
+    // Everything rows can resolve against, loaded once
+    async context(req) {
+      const active = { status: { $ne: "archived" } };
+      const [campuses, districts, communities, existing] = await Promise.all([
+        Campus.find({ $and: [await scopeFilter(req.auth, "campus"), active] }).select("normalizedName"),
+        District.find({ $and: [await scopeFilter(req.auth, "district"), active] }).select("normalizedName campus"),
+        Community.find({ $and: [await scopeFilter(req.auth, "community"), active] }).select("normalizedName district"),
+        Cell.find().select("normalizedName email")
+      ]);
+      return {
+        campuses: byNormalizedName(campuses),
+        districts: byNormalizedName(districts, d => `${d.campus}|${d.normalizedName}`),
+        communities: byNormalizedName(communities, c => `${c.district}|${c.normalizedName}`),
+        takenNames: new Set(existing.map(c => c.normalizedName)),
+        takenEmails: new Set(existing.map(c => c.email))
+      };
+    },
+
+    // Returns { doc } or { errors: [{ field, message }] }; claims names/emails so later rows see them
+    async validate(row, ctx) {
+      const errors = [];
+      const name = cleanCell(row.name);
+      const normalizedName = name.toLowerCase();
+      const email = cleanCell(row.email).toLowerCase();
+
+      const campus = ctx.campuses.get(cleanCell(row.campus).toLowerCase());
+      const district = campus && ctx.districts.get(`${campus._id}|${cleanCell(row.district).toLowerCase()}`);
+      const community = district && ctx.communities.get(`${district._id}|${cleanCell(row.community).toLowerCase()}`);
+
+      if (!campus) errors.push({ field: "campus", message: `Campus "${row.campus}" not found in your scope` });
+      else if (!district) errors.push({ field: "district", message: `District "${row.district}" not found under ${row.campus}` });
+      else if (!community) errors.push({ field: "community", message: `Community "${row.community}" not found under ${row.district}` });
+
+      if (failsRule(rules.email, email)) errors.push({ field: "email", message: "Invalid email" });
+      if (failsRule(rules.phone, cleanCell(row.phone))) errors.push({ field: "phone", message: "Invalid phone number" });
+      if (failsRule(passwordRule, String(row.password).trim())) {
+        errors.push({ field: "password", message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (ctx.takenNames.has(normalizedName)) errors.push({ field: "name", message: "Cell name already exists" });
+      if (ctx.takenEmails.has(email)) errors.push({ field: "email", message: "Email already in use" });
+      if (errors.length) return { errors };
+
+      ctx.takenNames.add(normalizedName);
+      ctx.takenEmails.add(email);
+      return {
+        doc: {
+          name,
+          normalizedName,
+          campus: campus._id,
+          district: district._id,
+          community: community._id,
+          address: cleanCell(row.address),
+          leader: cleanCell(row.leader),
+          phone: cleanCell(row.phone),
+          email,
+          password: String(row.password).trim()
+        }
+      };
+    },
+
+    // insertMany skips save hooks, so hash here
+    async prepare(docs) {
+      for (const doc of docs) doc.password = await bcrypt.hash(doc.password, BCRYPT_ROUNDS);
+      return docs;
+    },
+    model: () => Cell
+  },
 
-    if (!identifier || !password) {
-      return res.status(400).json({ message: "All fields are required" });
-    }
+  members: {
+    roles: ["superadmin", "campus", "district", "community", "cell"],
+    required: ["fullName", "address", "phone", "email", "cell"],
+
+    async context(req) {
+      const [cells, existing] = await Promise.all([
+        Cell.find({ $and: [await scopeFilter(req.auth, "cell"), { status: { $ne: "archived" } }] })
+          .select("normalizedName district"),
+        Member.find().select("email")
+      ]);
+      return {
+        cells: byNormalizedName(cells),
+        takenEmails: new Set(existing.map(m => m.email)),
+        actor: actorOf(req)
+      };
+    },
+
+    async validate(row, ctx) {
+      const errors = [];
+      const email = cleanCell(row.email).toLowerCase();
+      const cell = ctx.cells.get(cleanCell(row.cell).toLowerCase());
+
+      if (!cell) errors.push({ field: "cell", message: `Cell "${row.cell}" not found in your scope` });
+      if (failsRule(rules.email, email)) errors.push({ field: "email", message: "Invalid email" });
+      if (failsRule(rules.phone, cleanCell(row.phone))) errors.push({ field: "phone", message: "Invalid phone number" });
+      if (ctx.takenEmails.has(email)) errors.push({ field: "email", message: "Email already registered" });
+      if (errors.length) return { errors };
+
+      ctx.takenEmails.add(email);
+      const phone = cleanCell(row.phone);
+      return {
+        doc: {
+          fullName: cleanCell(row.fullName),
+          address: cleanCell(row.address),
+          phone,
+          normalizedPhone: normalizePhone(phone),
+          email,
+          district: cell.district,
+          cell: cell._id,
+          history: [{ action: "joined", cell: cell._id, note: "Bulk import", by: ctx.actor }]
+        }
+      };
+    },
+
+    // Likely duplicates of a valid row: existing members, then earlier rows of the same file
+    async duplicatesOf(doc, earlierRows) {
+      const existing = (await findLookalikes(doc)).map(({ member, reasons }) =>
+        ({ id: member._id, fullName: member.fullName, reasons }));
+      const inFile = earlierRows.flatMap(({ row, doc: other }) => {
+        const match = lookalikeMatch(doc, other);
+        return match ? [{ row, fullName: other.fullName, reasons: match.reasons }] : [];
+      });
+      return [...existing, ...inFile];
+    },
+
+    // Imported members enter the same review queue as registered ones; returns pairs queued
+    async afterInsert(inserted) {
+      const pairs = new Map();
+      for (const member of inserted) {
+        for (const pair of lookalikePairs(member, await findLookalikes(member))) pairs.set(pair.pairKey, pair);
+      }
+      return queueDuplicates([...pairs.values()]);
+    },
 
-    let user = null;
-    let role = "";
+    prepare: async docs => docs,
+    model: () => Member
+  }
+};
 
-    // 1. Check Campus
-    user = await Campus.findOne({ $or: [{ email: identifier }, { name: identifier }] });
-    if (user) role = "campus";
+app.post("/api/import/:entity", authenticate, csvUpload.single("file"), validate({
+  params: Joi.object({ entity: Joi.string().required() }),
+  query: Joi.object({ mode: Joi.string().valid("dry-run", "commit") })
+}), async (req, res) => {
+  try {
+    const spec = IMPORTS[req.params.entity];
+    if (!spec) {
+      return sendError(res, 404, "Unknown import");
+    }
+    if (!spec.roles.includes(req.auth.role)) {
+      return sendError(res, 403, "Not authorized");
+    }
 
-    // 2. Check District
-    if (!user) {
-      user = await District.findOne({ $or: [{ email: identifier }, { name: identifier }] });
-      if (user) role = "district";
+    const mode = req.query.mode || "dry-run";
+    if (!req.file) {
+      return sendError(res, 400, "CSV file is required (field \"file\")");
     }
 
-    // 3. Check Cell
-    if (!user) {
-      user = await Cell.findOne({ $or: [{ email: identifier }, { name: identifier }] });
-      if (user) role = "cell";
+    let rows;
+    try {
+      rows = parseCsv(req.file.buffer, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    } catch (err) {
+      return sendError(res, 400, `Could not parse CSV: ${err.message}`);
+    }
+    if (!rows.length) {
+      return sendError(res, 400, "CSV has no data rows");
     }
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    const missingColumns = spec.required.filter(col => !(col in rows[0]));
+    if (missingColumns.length) {
+      return sendError(res, 400, `Missing columns: ${missingColumns.join(", ")}`);
     }
 
-    // Compare password
-    const isMatch = password === user.password; // ❗ Replace with bcrypt.compare() if hashed
-    if (!isMatch) {
-      return res.status(400).json({ message: "Invalid password" });
+    // Row numbers match the spreadsheet (header is row 1)
+    const ctx = await spec.context(req);
+    const valid = [];
+    const validRows = [];
+    const errors = [];
+    const possibleDuplicates = []; // [{ row, matches }] for imports that check (members)
+    for (const [index, row] of rows.entries()) {
+      const rowNumber = index + 2;
+      const blank = spec.required.filter(col => !cleanCell(row[col]));
+      if (blank.length) {
+        blank.forEach(field => errors.push({ row: rowNumber, field, message: "Required" }));
+        continue;
+      }
+      const result = await spec.validate(row, ctx);
+      if (result.errors) {
+        result.errors.forEach(e => errors.push({ row: rowNumber, ...e }));
+        continue;
+      }
+      if (spec.duplicatesOf) {
+        const matches = await spec.duplicatesOf(result.doc, validRows);
+        if (matches.length) possibleDuplicates.push({ row: rowNumber, matches });
+      }
+      valid.push(result.doc);
+      validRows.push({ row: rowNumber, doc: result.doc });
     }
 
-    // ✅ Return role + user details (with logo)
+    const summary = {
+      mode,
+      total: rows.length,
+      valid: valid.length,
+      invalid: rows.length - valid.length,
+      errors,
+      ...(spec.duplicatesOf && { possibleDuplicates })
+    };
+
+    if (mode === "dry-run" || !valid.length) {
+      return res.json({ success: true, ...summary, created: 0 });
+    }
+
+    const docs = await spec.prepare(valid);
+    const inserted = await runInTransaction(session => spec.model().insertMany(docs, { session }));
+    // The rows are in; a failure queueing duplicates is logged rather than failing the import
+    const duplicatesQueued = spec.afterInsert
+      ? await spec.afterInsert(inserted).catch(err => {
+        console.error("Import duplicate check error:", err);
+        return null;
+      })
+      : undefined;
+
+    res.status(201).json({ success: true, ...summary, created: inserted.length, duplicatesQueued });
+  } catch (err) {
+    console.error("Import error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// A member's attendance: meetings attended plus rate over their current cell's meetings since joining
+app.get("/api/members/:id/attendance", authenticate, validate(idParam), async (req, res) => {
+  try {
+    const member = await loadMember(req, res);
+    if (!member) return;
+
+    const attended = await Meeting.find({ attendees: member._id })
+      .select("cell date topic location")
+      .populate("cell", "name")
+      .sort({ date: -1 });
+
+    const held = await Meeting.countDocuments({ cell: member.cell, date: { $gte: member.createdAt } });
+    const attendedHere = attended.filter(m => String(m.cell?._id) === String(member.cell) && m.date >= member.createdAt).length;
+
     res.json({
-      message: "Login successful",
-      role,
-      user: {
-        id: user._id,
-        name: user.name || user.email,
-        email: user.email,
-        logo: user.logo || ""   // 👈 include logo if exists
+      success: true,
+      data: {
+        member: { _id: member._id, fullName: member.fullName },
+        summary: { held, attended: attendedHere, rate: held ? Math.round((attendedHere / held) * 100) / 100 : null },
+        meetings: attended
       }
     });
-
   } catch (err) {
-    console.error("Error in universal login:", err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Member attendance error:", err);
+    sendServerError(res, err);
   }
 });
 
+
 // ======================
-// Universal Login 2 (Refined)
+// Events calendar
 // ======================
-app.post("/api/universal-login2", async (req, res) => {
-  try {
-    let { identifier, password } = req.body;
+// POST   /api/events       multipart: ownerLevel, ownerId, title, startsAt, endsAt?, allDay?, category?,
+//                          description?, location?, repeat?, interval?, until? | count?, file "cover"
+// PUT    /api/events/:id   any of those but the owner (a new cover replaces the old); status=cancelled|scheduled
+// DELETE /api/events/:id   removes the event and its cover
+// GET    /api/events?cellId= | memberId= | communityId= | districtId= | campusId=  &from=&to=&category=&limit=
+//        – occurrences visible there (the node's own events plus every ancestor's), recurring events
+//          expanded, soonest first. Defaults to the next EVENT_WINDOW_DAYS days.
+// GET    /api/events/:id   one event with its next occurrences
+// GET    /api/calendar/{campus|district|community|cell|member}/:id.ics – the same events as an
+//        iCalendar feed (recurrence as RRULE, cancellations included) for calendar apps to subscribe to
+// Reading is public, like the feed. Events are managed by whoever may manage the owner node.
+const EVENT_CATEGORIES = ["service", "outreach", "training", "meeting", "other"];
+const EVENT_WINDOW_DAYS = 90;
+const MAX_EVENT_OCCURRENCES = 500;
+const DAY_MS = 24 * HOUR_MS;
+
+const eventBody = Joi.object({
+  ownerLevel: Joi.string().valid(...HIERARCHY_LEVELS).required(),
+  ownerId: rules.id.required(),
+  title: Joi.string().trim().max(200).required(),
+  category: Joi.string().valid(...EVENT_CATEGORIES),
+  description: Joi.string().trim().allow("").max(5000),
+  location: Joi.string().trim().allow("").max(500),
+  startsAt: rules.date.required(),
+  endsAt: rules.date,
+  allDay: Joi.boolean(),
+  repeat: Joi.string().valid("none", "daily", "weekly", "monthly", "yearly"),
+  interval: Joi.number().integer().min(1).max(52),
+  until: rules.date,
+  count: Joi.number().integer().min(1).max(MAX_EVENT_OCCURRENCES)
+}).with("interval", "repeat").with("until", "repeat").with("count", "repeat").oxor("until", "count");
+
+const eventUpdateBody = eventBody
+  .fork(["title", "startsAt"], field => field.optional())
+  .keys({
+    ownerLevel: Joi.forbidden(),
+    ownerId: Joi.forbidden(),
+    status: Joi.string().valid("scheduled", "cancelled")
+  });
 
-    if (!identifier || !password) {
-      return res.status(400).json({ message: "All fields are required" });
-    }
+// Clean event fields from an already-validated body, checked against the event's current values.
+// Returns { values } or { error }.
+function parseEventBody(body, current = {}) {
+  const values = {};
+
+  for (const field of ["title", "category", "description", "location", "status"]) {
+    if (typeof body[field] === "string") values[field] = body[field].trim();
+  }
+  for (const field of ["startsAt", "endsAt"]) {
+    if (body[field] !== undefined) values[field] = new Date(body[field]);
+  }
+  if (body.allDay !== undefined) values.allDay = String(body.allDay) === "true";
+
+  // Recurrence is replaced as a whole whenever repeat is sent
+  if (body.repeat !== undefined) {
+    values.recurrence = {
+      freq: body.repeat,
+      interval: Number(body.interval) || 1,
+      until: body.until ? new Date(body.until) : undefined,
+      count: body.count ? Number(body.count) : undefined
+    };
+  }
 
-    // 👇 normalize identifier
-    identifier = identifier.trim().toLowerCase();
+  const startsAt = values.startsAt || current.startsAt;
+  const endsAt = values.endsAt || current.endsAt;
+  if (endsAt && endsAt < startsAt) return { error: "endsAt must be after startsAt" };
 
-    let user = null;
-    let role = "";
+  return { values };
+}
 
-    // 1. Campus
-    user = await Campus.findOne({ 
-      $or: [{ email: identifier }, { normalizedName: identifier }] 
-    });
-    if (user) role = "campus";
+const coverOf = file => ({ url: file.path, storage: file.storage, publicId: file.publicId, variants: file.variants });
 
-    // 2. District
-    if (!user) {
-      user = await District.findOne({ 
-        $or: [{ email: identifier }, { normalizedName: identifier }] 
-      });
-      if (user) role = "district";
-    }
+// Load an event the caller may manage (they may manage its owner node)
+async function loadManagedEvent(req, res) {
+  const event = await Event.findById(req.params.id);
+  if (!event) {
+    sendError(res, 404, "Event not found");
+    return null;
+  }
+  const owner = await ROLE_MODELS[event.ownerLevel].findById(event.owner);
+  if (!owner || !(await canManageNode(req.auth, event.ownerLevel, owner))) {
+    sendError(res, 403, "Not authorized for this event");
+    return null;
+  }
+  return event;
+}
+
+// The node a calendar is for, and the owners whose events it sees (itself and its ancestors).
+// A member sees their cell's calendar. Returns { node, owners } or { error }.
+async function resolveEventScope(level, id) {
+  if (level === "member") {
+    const member = await Member.findById(id).select("cell");
+    if (!member) return { error: "Member not found" };
+    return resolveEventScope("cell", member.cell);
+  }
 
-    // 3. Community
-    if (!user) {
-      user = await Community.findOne({ 
-        $or: [{ email: identifier }, { normalizedName: identifier }] 
-      });
-      if (user) role = "community";
-    }
+  const node = await ROLE_MODELS[level].findById(id);
+  if (!node) return { error: `${level[0].toUpperCase()}${level.slice(1)} not found` };
+
+  const chain = await hierarchyOf(level, node);
+  const owners = Object.entries(chain)
+    .filter(([, owner]) => owner)
+    .map(([ownerLevel, owner]) => ({ ownerLevel, owner }));
+  return { node, owners };
+}
+
+const eventDuration = event =>
+  event.endsAt ? event.endsAt - event.startsAt : event.allDay ? DAY_MS : HOUR_MS;
+
+// `date` moved by `n` recurrence units (UTC, so the time of day stays put)
+function shiftDate(date, freq, n) {
+  const shifted = new Date(date);
+  if (freq === "daily") shifted.setUTCDate(shifted.getUTCDate() + n);
+  if (freq === "weekly") shifted.setUTCDate(shifted.getUTCDate() + 7 * n);
+  if (freq === "monthly") shifted.setUTCMonth(shifted.getUTCMonth() + n);
+  if (freq === "yearly") shifted.setUTCFullYear(shifted.getUTCFullYear() + n);
+  return shifted;
+}
+
+// Start times of an event's occurrences overlapping [from, to], soonest first. Like RRULE,
+// monthly/yearly repeats skip months without that day (the 31st, 29 February).
+function eventOccurrences(event, from, to) {
+  const duration = eventDuration(event);
+  const { freq = "none", interval = 1, until, count } = event.recurrence || {};
+
+  if (freq === "none") {
+    return event.startsAt <= to && event.startsAt.getTime() + duration >= from ? [event.startsAt] : [];
+  }
 
-    // 4. Cell
-    if (!user) {
-      user = await Cell.findOne({ 
-        $or: [{ email: identifier }, { normalizedName: identifier }] 
-      });
-      if (user) role = "cell";
-    }
+  // Daily and weekly steps are all valid, so jump straight to the window
+  let n = 0;
+  if (freq === "daily" || freq === "weekly") {
+    const stepMs = (freq === "daily" ? 1 : 7) * interval * DAY_MS;
+    n = Math.max(0, Math.floor((from - duration - event.startsAt) / stepMs));
+  }
 
-    // 5. Super Admin
-    if (!user) {
-      user = await SuperAdmin.findOne({ normalizedName: identifier });
-      if (user) role = "superadmin";
-    }
+  const starts = [];
+  for (let produced = n; starts.length < MAX_EVENT_OCCURRENCES; n++) {
+    if (count && produced >= count) break;
+    const start = shiftDate(event.startsAt, freq, n * interval);
+    if (start > to || (until && start > until)) break;
+    if (start.getUTCDate() !== event.startsAt.getUTCDate() && (freq === "monthly" || freq === "yearly")) continue;
+    produced++;
+    if (start.getTime() + duration >= from) starts.push(start);
+  }
+  return starts;
+}
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+app.post("/api/events", authenticate, coverUpload.single("cover"), discardMediaOnError, validate({ body: eventBody }), async (req, res) => {
+  try {
+    const { ownerLevel, ownerId } = req.body;
+
+    const owner = await loadNode(ownerLevel, ownerId, res);
+    if (!owner) return;
+    if (!(await canManageNode(req.auth, ownerLevel, owner))) {
+      return sendError(res, 403, "Not authorized");
+    }
+    if (owner.status === "archived") {
+      return sendError(res, 400, `${ownerLevel[0].toUpperCase()}${ownerLevel.slice(1)} is archived`);
     }
 
-    // Compare password (⚠️ still plain-text for now)
-    if (password !== user.password) {
-      return res.status(400).json({ message: "Invalid password" });
+    const { values, error } = parseEventBody(req.body);
+    if (error) {
+      return sendError(res, 400, error, { code: "VALIDATION_FAILED" });
     }
 
-    res.json({
-      message: "Login successful",
-      role,
-      user: {
-        id: user._id,
-        name: user.name,   // 👈 always return the original case-preserved name
-        email: user.email || "",
-        logo: user.logo || ""
-      }
+    const event = await Event.create({
+      ...values,
+      ownerLevel,
+      owner: owner._id,
+      ownerName: owner.name,
+      ...(req.file && { cover: coverOf(req.file) }),
+      createdBy: actorOf(req)
     });
-
+    res.status(201).json({ success: true, message: "Event created successfully", data: event });
   } catch (err) {
-    console.error("Error in universal login:", err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Event create error:", err);
+    sendServerError(res, err);
   }
 });
 
-// ======================
-// Register a Member
-// ======================
-app.post("/api/members/register", async (req, res) => {
+app.put("/api/events/:id", authenticate, coverUpload.single("cover"), discardMediaOnError, validate({ ...idParam, body: eventUpdateBody }), async (req, res) => {
   try {
-    const { fullName, address, phone, email, district, cell } = req.body;
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
 
-    if (!fullName || !address || !phone || !email || !district || !cell) {
-      return res.status(400).json({ message: "All fields are required" });
+    const { values, error } = parseEventBody(req.body, event);
+    if (error) {
+      return sendError(res, 400, error, { code: "VALIDATION_FAILED" });
     }
 
-    // Check if email already exists
-    const existing = await Member.findOne({ email });
-    if (existing) {
-      return res.status(400).json({ message: "Email already registered" });
-    }
+    const oldCover = req.file && event.cover?.url ? event.toObject().cover : null;
+    event.set(values);
+    if (req.file) event.cover = coverOf(req.file);
+    await event.save();
 
-    const member = new Member({ fullName, address, phone, email, district, cell });
-    await member.save();
+    if (oldCover) await destroyStoredMedia([{ ...oldCover, type: "image" }]);
 
-    res.status(201).json({ message: "Member registered successfully", member });
+    res.json({ success: true, message: "Event updated successfully", data: event });
   } catch (err) {
-    console.error("Error registering member:", err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Event update error:", err);
+    sendServerError(res, err);
   }
 });
 
-// ======================
-// Fetch Cells by District
-// ======================
-app.get("/api/cells/by-district/:districtId", async (req, res) => {
+app.delete("/api/events/:id", authenticate, validate(idParam), async (req, res) => {
   try {
-    const cells = await Cell.find({ district: req.params.districtId });
-    res.json(cells);
+    const event = await loadManagedEvent(req, res);
+    if (!event) return;
+
+    await Event.deleteOne({ _id: event._id });
+    if (event.cover?.url) await destroyStoredMedia([{ ...event.toObject().cover, type: "image" }]);
+
+    res.json({ success: true, message: "Event deleted successfully" });
   } catch (err) {
-    console.error("Error fetching cells:", err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Event delete error:", err);
+    sendServerError(res, err);
   }
 });
 
-// ======================
-// Fetch Members (filtered by roleId)
-// ======================
-// app.get("/api/members", async (req, res) => {
-//  try {
-//    const roleId = parseInt(req.query.roleId); // e.g., 1 = campus, 2 = district, 3 = cell
-//    const userId = req.query.userId;          // the actual logged-in entity's ID
-
-//    let filter = {};
-
-//    if (roleId === 3) {
-      // Cell leader → only members in this cell
-//      filter.cell = userId;
- //   } else if (roleId === 2) {
-//      // District leader → only members in this distric
-// filter.district = userId;
-//    }
-//    // roleId === 1 (campus) → see all members (no filter)
-
-//    const members = await Member.find(filter)
-// .populate("district", "name")
-//      .populate("cell", "name");
-
-//    res.json(members);
-//  } catch (err) {
-//    console.error("Error fetching members:", err);
-//    res.status(500).json({ message: "Server error" });
-//  }
-// });
-
-// ======================
-// Fetch Members (Super Admin, Community, Cell)
-// ======================
-app.get("/api/members", async (req, res) => {
+app.get("/api/events", validate({
+  query: Joi.object({
+    campusId: rules.id,
+    districtId: rules.id,
+    communityId: rules.id,
+    cellId: rules.id,
+    memberId: rules.id,
+    from: rules.date,
+    to: rules.date,
+    category: Joi.string().valid(...EVENT_CATEGORIES),
+    limit: Joi.number().integer().min(1)
+  }).xor("campusId", "districtId", "communityId", "cellId", "memberId")
+}), async (req, res) => {
   try {
-    const { roleId, userId } = req.query; 
+    const level = [...HIERARCHY_LEVELS, "member"].find(l => req.query[`${l}Id`]);
+    const scope = await resolveEventScope(level, req.query[`${level}Id`]);
+    if (scope.error) {
+      return sendError(res, 404, scope.error);
+    }
 
-    let filter = {};
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + EVENT_WINDOW_DAYS * DAY_MS);
+    if (to < from) {
+      return sendError(res, 400, "to must be after from");
+    }
+    const limit = parseLimit(req.query.limit, 50, MAX_EVENT_OCCURRENCES);
+
+    // One-off events that ended before the window are skipped in the query already
+    const events = await Event.find({
+      $and: [
+        { $or: scope.owners },
+        { $or: [{ "recurrence.freq": { $nin: ["none", null] } }, { endsAt: { $gte: from } }, { startsAt: { $gte: new Date(from - DAY_MS) } }] }
+      ],
+      status: "scheduled",
+      startsAt: { $lte: to },
+      ...(req.query.category && { category: req.query.category })
+    }).lean();
+
+    const occurrences = events
+      .flatMap(event => eventOccurrences(event, from, to).map(start => ({
+        ...event,
+        occurrenceStart: start,
+        occurrenceEnd: new Date(start.getTime() + eventDuration(event))
+      })))
+      .sort((a, b) => a.occurrenceStart - b.occurrenceStart);
+
+    res.json({ success: true, data: occurrences.slice(0, limit), total: occurrences.length });
+  } catch (err) {
+    console.error("Events list error:", err);
+    sendServerError(res, err);
+  }
+});
 
-    if (roleId === "cell") {
-      // ✅ Only members of this cell
-      if (!mongoose.Types.ObjectId.isValid(userId)) {
-        return res.status(400).json({ message: "Invalid cell ID" });
-      }
-      filter.cell = userId;
+app.get("/api/events/:id", validate(idParam), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).lean();
+    if (!event) {
+      return sendError(res, 404, "Event not found");
+    }
 
-    } else if (roleId === "community") {
-      // ✅ All members of cells under this community
-      if (!mongoose.Types.ObjectId.isValid(userId)) {
-        return res.status(400).json({ message: "Invalid community ID" });
-      }
-      // get all cells under this community
-      const cells = await Cell.find({ community: userId }).select("_id");
-      filter.cell = { $in: cells.map(c => c._id) };
+    const now = new Date();
+    const nextOccurrences = event.status === "cancelled"
+      ? []
+      : eventOccurrences(event, now, new Date(now.getTime() + 365 * DAY_MS)).slice(0, 5);
 
-    } else if (roleId === "superadmin") {
-      // ✅ No filter → fetch all members
-      filter = {};
+    res.json({ success: true, data: { ...event, nextOccurrences } });
+  } catch (err) {
+    console.error("Event fetch error:", err);
+    sendServerError(res, err);
+  }
+});
 
-    } else {
-      return res.status(403).json({ message: "Not authorized to view members" });
+// ---------- iCalendar (RFC 5545) ----------
+const icsDateTime = date => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, ""); // 20260301T090000Z
+const icsDate = date => date.toISOString().slice(0, 10).replace(/-/g, "");                    // 20260301
+const icsText = text => String(text)
+  .replace(/\\/g, "\\\\")
+  .replace(/;/g, "\\;")
+  .replace(/,/g, "\\,")
+  .replace(/\r?\n/g, "\\n");
+
+// Content lines are at most 75 octets; longer ones continue on lines starting with a space
+function icsFold(line) {
+  const lines = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > 75) {
+      lines.push(current);
+      current = " ";
     }
+    current += char;
+  }
+  lines.push(current);
+  return lines.join("\r\n");
+}
+
+function icsEvent(event) {
+  const { freq = "none", interval = 1, until, count } = event.recurrence || {};
+  const end = new Date(event.startsAt.getTime() + eventDuration(event));
+
+  // All-day events use dates, and DTEND is the (exclusive) day after the last one
+  const start = event.allDay ? `DTSTART;VALUE=DATE:${icsDate(event.startsAt)}` : `DTSTART:${icsDateTime(event.startsAt)}`;
+  const finish = event.allDay
+    ? `DTEND;VALUE=DATE:${icsDate(new Date((event.endsAt || event.startsAt).getTime() + DAY_MS))}`
+    : `DTEND:${icsDateTime(end)}`;
+
+  let rrule = null;
+  if (freq !== "none") {
+    rrule = `RRULE:FREQ=${freq.toUpperCase()};INTERVAL=${interval}`;
+    if (until) rrule += `;UNTIL=${event.allDay ? icsDate(until) : icsDateTime(until)}`;
+    if (count) rrule += `;COUNT=${count}`;
+  }
 
-    const members = await Member.find(filter)
-      .populate("district", "name")
-      .populate("cell", "name");
+  return [
+    "BEGIN:VEVENT",
+    `UID:${event._id}@harvesters-hub`,
+    `DTSTAMP:${icsDateTime(event.updatedAt || new Date())}`,
+    start,
+    finish,
+    rrule,
+    `SUMMARY:${icsText(event.title)}`,
+    event.description && `DESCRIPTION:${icsText(event.description)}`,
+    event.location && `LOCATION:${icsText(event.location)}`,
+    `CATEGORIES:${event.category.toUpperCase()}`,
+    event.cover?.url && `ATTACH:${event.cover.url}`,
+    `STATUS:${event.status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT"
+  ].filter(Boolean);
+}
+
+// Recurring events, plus one-off events from the last EVENT_WINDOW_DAYS onwards
+app.get("/api/calendar/:level/:id.ics", validate({
+  params: Joi.object({
+    level: Joi.string().valid(...HIERARCHY_LEVELS, "member").required(),
+    id: rules.id.required()
+  })
+}), async (req, res) => {
+  try {
+    const { level, id } = req.params;
+    const scope = await resolveEventScope(level, id);
+    if (scope.error) {
+      return sendError(res, 404, scope.error);
+    }
 
-    res.json({ success: true, data: members });
+    const events = await Event.find({
+      $or: scope.owners,
+      $and: [{
+        $or: [
+          { "recurrence.freq": { $nin: ["none", null] } },
+          { startsAt: { $gte: new Date(Date.now() - EVENT_WINDOW_DAYS * DAY_MS) } }
+        ]
+      }]
+    }).sort({ startsAt: 1 }).lean();
+
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Harvesters Hub//Events//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${icsText(`${scope.node.name} events`)}`,
+      ...events.flatMap(icsEvent),
+      "END:VCALENDAR"
+    ];
+
+    res.type("text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `inline; filename="${level}-${id}.ics"`);
+    res.send(lines.map(icsFold).join("\r\n") + "\r\n");
   } catch (err) {
-    console.error("Error fetching members:", err);
-    res.status(500).json({ success: false, message: "Server error", error: err.message });
+    console.error("Calendar feed error:", err);
+    sendServerError(res, err);
   }
 });
 
-
 // ✅ Register Super Admin (Refined)
-app.post("/superadmin/register", async (req, res) => {
+// The first super admin comes from bootstrapSuperAdmin(); after that only super admins add more.
+app.post("/superadmin/register", authenticate, authorize("superadmin"), requireSuperLevel, validate({
+  body: Joi.object({ name: rules.name.required(), password: passwordRule.required(), email: rules.email.allow("") })
+}), async (req, res) => {
   try {
-    let { name, password } = req.body;
-
-    if (!name || !password) {
-      return res.status(400).json({ success: false, message: "All fields are required" });
-    }
+    let { name, password, email } = req.body;
 
     // Clean + normalize
     const cleanName = name.trim().replace(/\s+/g, " "); // collapse multiple spaces
@@ -1080,16 +6000,21 @@ app.post("/superadmin/register", async (req, res) => {
     // Check if super admin already exists (case-insensitive)
     const exists = await SuperAdmin.findOne({ normalizedName });
     if (exists) {
-      return res.status(400).json({ success: false, message: "Super Admin already exists" });
+      return sendError(res, 400, "Super Admin already exists", { code: "DUPLICATE" });
     }
 
     // Save both case-preserved and normalized name
     const superAdmin = await SuperAdmin.create({
       name: cleanName,          // for display (e.g. "Anthony Admin")
       normalizedName,           // for login
-      password                  // ⚠️ plain for now, hash later
+      email: email?.trim().toLowerCase() || undefined, // optional, used for password recovery
+      password,                 // hashed on save
+      level: "standard",
+      invitedBy: req.admin._id
     });
 
+    await audit(req.admin, "create", superAdmin);
+
     res.status(201).json({
       success: true,
       message: "Super Admin registered successfully",
@@ -1100,30 +6025,217 @@ app.post("/superadmin/register", async (req, res) => {
     });
   } catch (err) {
     console.error("Super Admin registration error:", err);
-    res.status(500).json({ success: false, message: "Server error", error: err.message });
+    sendServerError(res, err);
   }
 });
 
 // ✅ Login Super Admin
-app.post("/superAdmin/login", async (req, res) => {
+app.post("/superAdmin/login", validate({
+  body: Joi.object({ name: Joi.string().trim().max(200).required(), password: Joi.string().required() })
+}), async (req, res) => {
   try {
     const { name, password } = req.body;
 
     const superAdmin = await SuperAdmin.findOne({ name });
-    if (!superAdmin || superAdmin.password !== password) {
-      return res.status(400).json({ success: false, message: "Invalid credentials" });
+    if (!superAdmin || !(await superAdmin.verifyPassword(password))) {
+      return sendError(res, 400, "Invalid credentials", { code: "INVALID_CREDENTIALS" });
+    }
+
+    if (!canSignIn(superAdmin)) {
+      return sendError(res, 403, "Account is disabled", { code: "ACCOUNT_DISABLED" });
     }
 
+    const session = await issueSession("superadmin", superAdmin);
+
     res.json({
       success: true,
       message: "Login successful",
+      ...session,
       data: {
         id: superAdmin._id,
         name: superAdmin.name
       }
     });
   } catch (err) {
-    res.status(500).json({ success: false, message: "Server error", error: err.message });
+    sendServerError(res, err);
+  }
+});
+
+// ======================
+// Super Admin management
+// ======================
+const INVITE_TTL_MINUTES = 7 * 24 * 60;
+
+// List admins
+app.get("/api/superadmin/admins", authenticate, authorize("superadmin"), async (req, res) => {
+  try {
+    const admins = await SuperAdmin.find()
+      .select("name email level status invitedBy createdAt")
+      .populate("invitedBy", "name")
+      .sort({ createdAt: 1 });
+    res.json({ success: true, data: admins });
+  } catch (err) {
+    console.error("Error fetching admins:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Invite an admin: creates an "invited" account and mails a set-password link
+// Issue a fresh invite link (older unused ones stop working) and send it. A delivery failure
+// is logged and reported as false, so the invited account stays and can be re-sent.
+async function sendInvite(inviter, invited) {
+  const token = await createAccountToken("superadmin", invited, "invite", INVITE_TTL_MINUTES);
+  try {
+    await notifier.send({
+      to: { email: invited.email },
+      subject: "You've been invited to Harvesters Hub",
+      text:
+        `Hello ${invited.name},\n\n` +
+        `${inviter.name} invited you as an administrator. Set your password here (valid for 7 days):\n` +
+        `${APP_URL}/reset-password.html?token=${token}`
+    });
+    return true;
+  } catch (err) {
+    console.error(`Invite delivery failed for admin ${invited._id}:`, err);
+    return false;
+  }
+}
+
+app.post("/api/superadmin/admins/invite", authenticate, authorize("superadmin"), requireSuperLevel, validate({
+  body: Joi.object({
+    name: rules.name.required(),
+    email: rules.email.required(),
+    level: Joi.string().valid("super", "standard")
+  })
+}), async (req, res) => {
+  try {
+    let { name, email, level } = req.body;
+
+    const cleanName = name.trim().replace(/\s+/g, " ");
+    const normalizedName = cleanName.toLowerCase();
+    email = email.trim().toLowerCase();
+
+    const exists = await SuperAdmin.findOne({ $or: [{ normalizedName }, { email }] });
+    if (exists) {
+      return sendError(res, 400, "Super Admin already exists", { code: "DUPLICATE" });
+    }
+
+    const invited = await SuperAdmin.create({
+      name: cleanName,
+      normalizedName,
+      email,
+      password: crypto.randomBytes(32).toString("hex"), // unusable until the invite is accepted
+      level: level || "standard",
+      status: "invited",
+      invitedBy: req.admin._id
+    });
+
+    const delivered = await sendInvite(req.admin, invited);
+    await audit(req.admin, "invite", invited, { level: invited.level, email, delivered });
+
+    res.status(201).json({
+      success: true,
+      message: delivered ? "Invitation sent" : "Admin created, but the invitation could not be delivered; resend it",
+      data: { id: invited._id, name: invited.name, email, level: invited.level, status: invited.status, delivered }
+    });
+  } catch (err) {
+    console.error("Invite admin error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Send a pending invitation again (e.g. after a delivery failure or an expired link)
+app.post("/api/superadmin/admins/:id/resend-invite", authenticate, authorize("superadmin"), requireSuperLevel, validate(idParam), async (req, res) => {
+  try {
+    const invited = await SuperAdmin.findById(req.params.id);
+    if (!invited) {
+      return sendError(res, 404, "Admin not found");
+    }
+    if (invited.status !== "invited") {
+      return sendError(res, 400, "This admin has already accepted the invitation");
+    }
+
+    const delivered = await sendInvite(req.admin, invited);
+    await audit(req.admin, "resend-invite", invited, { delivered });
+    if (!delivered) {
+      return sendError(res, 502, "The invitation could not be delivered", { code: "DELIVERY_FAILED" });
+    }
+
+    res.json({ success: true, message: "Invitation sent", data: { id: invited._id, name: invited.name, status: invited.status } });
+  } catch (err) {
+    console.error("Resend invite error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// disable | enable | demote | promote
+const ADMIN_ACTIONS = {
+  disable: { status: "disabled" },
+  enable: { status: "active" },
+  demote: { level: "standard" },
+  promote: { level: "super" }
+};
+
+app.post("/api/superadmin/admins/:id/:action", authenticate, authorize("superadmin"), requireSuperLevel, validate({
+  params: Joi.object({ id: rules.id.required(), action: Joi.string().valid(...Object.keys(ADMIN_ACTIONS)).required() })
+}), async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    const change = ADMIN_ACTIONS[action];
+    if (String(req.admin._id) === id) {
+      return sendError(res, 400, "You can't change your own account");
+    }
+
+    const target = await SuperAdmin.findById(id);
+    if (!target) {
+      return sendError(res, 404, "Admin not found");
+    }
+    if (action === "enable" && target.status === "invited") {
+      return sendError(res, 400, "Invited admins activate through their invite link");
+    }
+
+    // Never leave the platform without an active super-level admin
+    const removesSuper = (action === "demote" || action === "disable") &&
+      target.level === "super" && canSignIn(target);
+    if (removesSuper) {
+      const remaining = await SuperAdmin.countDocuments({
+        _id: { $ne: target._id },
+        level: { $ne: "standard" },
+        status: { $nin: ["disabled", "invited"] }
+      });
+      if (remaining === 0) {
+        return sendError(res, 400, "At least one active super admin is required");
+      }
+    }
+
+    const before = { level: target.level, status: target.status };
+    Object.assign(target, change);
+    await target.save();
+
+    await audit(req.admin, action, target, { before, after: { level: target.level, status: target.status } });
+
+    res.json({
+      success: true,
+      message: `Admin ${action}d`,
+      data: { id: target._id, name: target.name, level: target.level, status: target.status }
+    });
+  } catch (err) {
+    console.error("Admin management error:", err);
+    sendServerError(res, err);
+  }
+});
+
+// Audit trail (newest first)
+app.get("/api/superadmin/audit", authenticate, authorize("superadmin"), validate({
+  query: Joi.object({ limit: Joi.number().integer().min(1) })
+}), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const entries = await AdminAudit.find().sort({ createdAt: -1 }).limit(limit);
+    res.json({ success: true, data: entries });
+  } catch (err) {
+    console.error("Error fetching audit trail:", err);
+    sendServerError(res, err);
   }
 });
 
@@ -1138,19 +6250,47 @@ app.get("/api/live", async (req, res) => {
     const data = await response.json();
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: "Failed to fetch live data" });
+    sendServerError(res, err);
   }
 });
 
-// Global error handler – always return JSON
+// Unknown routes
+app.use((req, res) => {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`, { code: "ROUTE_NOT_FOUND" });
+});
+
+// Global error handler – always return the error envelope
 app.use((err, req, res, next) => {
-  console.error("Unhandled server error:", err);
-  res.status(500).json({
-    success: false,
-    message: err.message || "Internal Server Error"
-  });
+  if (res.headersSent) return next(err);
+  if (describeError(err).status >= 500) console.error("Unhandled server error:", err);
+  sendServerError(res, err);
 });
 
 // ---------- Start ----------
-const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => console.log(`🚀 Backend listening on port ${PORT}`));
+// `node server.js` connects and listens; tests require() it and drive the app themselves
+if (require.main === module) {
+  connectDatabase();
+  const PORT = process.env.PORT || 10000;
+  app.listen(PORT, () => console.log(`🚀 Backend listening on port ${PORT}`));
+}
+
+module.exports = {
+  app,
+  notifier,
+  csvField,
+  createExportWriter,
+  detectDuplicates,
+  findLookalikes,
+  migrateMemberPhones,
+  repointMemberReferences,
+  runInTransaction,
+  dropIndexIfExists,
+  evaluateCellAlerts,
+  migrateImagesToPosts,
+  migrateLikes,
+  runPostMigrations,
+  eventOccurrences,
+  icsEvent,
+  icsFold,
+  models: { Campus, District, Community, Cell, Member, SuperAdmin, PasswordReset, Meeting, Post, Like, Comment, CellReport, CellAlert, AdminAudit, DuplicateCandidate, Event, Image }
+};
@@ -0,0 +1,29 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { models: { Cell, CellReport, Meeting, Member, CellAlert }, evaluateCellAlerts, fakeQuery } = require("./helpers");
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+test("alerts are upserted per cell and type, and only stale ones are removed", async t => {
+  const cell = { _id: "507f1f77bcf86cd799439050", createdAt: new Date(Date.now() - 10 * WEEK_MS) };
+  t.mock.method(Cell, "find", () => fakeQuery([cell]));
+  t.mock.method(CellReport, "aggregate", async () => [{ _id: cell._id, last: new Date() }]);
+  t.mock.method(Meeting, "aggregate", async () => []);
+  t.mock.method(Member, "aggregate", async () => []);
+  const bulkWrite = t.mock.method(CellAlert, "bulkWrite", async () => ({}));
+  const deleteMany = t.mock.method(CellAlert, "deleteMany", async () => ({}));
+  t.mock.method(CellAlert, "insertMany", async () => assert.fail("alerts must not be re-inserted"));
+
+  const { alerts, generatedAt } = await evaluateCellAlerts();
+
+  assert.deepStrictEqual(alerts.map(a => a.type).sort(), ["no_meeting", "no_new_members"]);
+  const ops = bulkWrite.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(ops.map(op => op.updateOne.filter), [
+    { cell: cell._id, type: "no_meeting" },
+    { cell: cell._id, type: "no_new_members" }
+  ]);
+  assert.ok(ops.every(op => op.updateOne.upsert));
+
+  assert.strictEqual(deleteMany.mock.callCount(), 1);
+  assert.deepStrictEqual(deleteMany.mock.calls[0].arguments[0], { generatedAt: { $lt: generatedAt } });
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const jwt = require("jsonwebtoken");
+const { models: { Campus }, fakeQuery, startApp, tokenFor } = require("./helpers");
+
+const CAMPUS_ID = "507f1f77bcf86cd799439011";
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+const me = token => app.request("/api/auth/me", {
+  headers: token ? { Authorization: `Bearer ${token}` } : {}
+});
+
+test("rejects requests without a token", async () => {
+  const res = await me();
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, "AUTH_REQUIRED");
+});
+
+test("rejects a token signed with another secret", async () => {
+  const res = await me(jwt.sign({ sub: "x", role: "campus" }, "not-the-secret"));
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, "INVALID_TOKEN");
+});
+
+test("rejects a refresh token used as an access token", async () => {
+  const res = await me(tokenFor("campus", CAMPUS_ID, { type: "refresh" }));
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, "INVALID_TOKEN");
+});
+
+test("reports an expired access token as TOKEN_EXPIRED so the client can refresh", async () => {
+  const expired = tokenFor("campus", CAMPUS_ID, {
+    iat: Math.floor(Date.now() / 1000) - 3600,
+    exp: Math.floor(Date.now() / 1000) - 60
+  }, {});
+  const res = await me(expired);
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, "TOKEN_EXPIRED");
+});
+
+test("refresh rejects an access token", async () => {
+  const res = await app.request("/api/auth/refresh", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken: tokenFor("campus", CAMPUS_ID) })
+  });
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, "INVALID_TOKEN");
+});
+
+// ---------- Live account checks ----------
+test("accepts a token for an active account", async t => {
+  t.mock.method(Campus, "findById", () => fakeQuery({ status: "active" }));
+  const res = await me(tokenFor("campus", CAMPUS_ID));
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).data.id, CAMPUS_ID);
+});
+
+test("rejects an access token once the account is disabled", async t => {
+  t.mock.method(Campus, "findById", () => fakeQuery({ status: "disabled" }));
+  const res = await me(tokenFor("campus", CAMPUS_ID));
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, "ACCOUNT_DISABLED");
+});
+
+test("rejects an access token for a deleted account", async t => {
+  t.mock.method(Campus, "findById", () => fakeQuery(null));
+  const res = await me(tokenFor("campus", CAMPUS_ID));
+  assert.strictEqual(res.status, 401);
+});
+
+test("rejects an access token issued before a password change", async t => {
+  const iat = Math.floor(Date.now() / 1000) - 60;
+  t.mock.method(Campus, "findById", () => fakeQuery({ status: "active", passwordChangedAt: new Date() }));
+  const res = await me(tokenFor("campus", CAMPUS_ID, { iat }));
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, "TOKEN_EXPIRED");
+});
+
+test("keeps tokens issued in the same second as the password change", async t => {
+  const iat = Math.floor(Date.now() / 1000);
+  const changedAt = new Date(iat * 1000 + 900);
+  t.mock.method(Campus, "findById", () => fakeQuery({ _id: CAMPUS_ID, status: "active", passwordChangedAt: changedAt }));
+
+  assert.strictEqual((await me(tokenFor("campus", CAMPUS_ID, { iat }))).status, 200);
+
+  const res = await app.request("/api/auth/refresh", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ refreshToken: tokenFor("campus", CAMPUS_ID, { iat, type: "refresh" }) })
+  });
+  assert.strictEqual(res.status, 200);
+  assert.ok((await res.json()).token);
+});
@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("node:child_process");
+const path = require("node:path");
+
+// Start server.js with the given environment and report how it exited
+function start(env) {
+  return spawnSync(process.execPath, ["-e", `require(${JSON.stringify(path.join(__dirname, "..", "server.js"))})`], {
+    env: { PATH: process.env.PATH, JWT_SECRET: "test-secret", ...env },
+    encoding: "utf8",
+    timeout: 20000
+  });
+}
+
+test("production refuses the console notifier, explicit or by default", () => {
+  for (const NOTIFIER of [undefined, "console", "file"]) {
+    const result = start({ NODE_ENV: "production", ...(NOTIFIER && { NOTIFIER }) });
+    assert.strictEqual(result.status, 1, `NOTIFIER=${NOTIFIER} was accepted`);
+    assert.match(result.stderr, /NOTIFIER=(console|file)/);
+  }
+});
+
+test("production accepts a real notifier", () => {
+  const result = start({ NODE_ENV: "production", NOTIFIER: "email" });
+  assert.strictEqual(result.status, 0, result.stderr);
+});
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { models: { Meeting, Member }, detectDuplicates, repointMemberReferences, findLookalikes, migrateMemberPhones, fakeQuery } = require("./helpers");
+
+let nextId = 1;
+const member = (fullName, phone = "") => ({ _id: String(nextId++).padStart(24, "0"), fullName, phone });
+
+test("pairs members sharing a phone number or a near-identical name", async () => {
+  const ada = member("Ada Okafor", "0803 123 4567");
+  const adaAgain = member("Okafor Ada", "+234 803-123-4567");
+  const john = member("John-Paul Eze");
+  const jon = member("Jon Paul Eze");
+  const other = member("Bola Adeyemi");
+
+  const { pairs, complete } = await detectDuplicates([ada, adaAgain, john, jon, other]);
+  assert.strictEqual(complete, true);
+  assert.deepStrictEqual(pairs.map(p => p.reasons.sort()).sort(), [["name"], ["name", "phone"]]);
+  assert.ok(!pairs.some(p => p.members.includes(other._id)));
+});
+
+test("stops at the comparison budget and reports the scan incomplete", async () => {
+  const members = Array.from({ length: 200 }, (_, i) => member(`Ada Member${i}`));
+  const { complete } = await detectDuplicates(members, 100);
+  assert.strictEqual(complete, false);
+});
+
+test("skips names whose lengths are too far apart to ever match", async () => {
+  // All share the "ada" block, but only the equal-length ones are worth comparing
+  const members = [member("Ada Bo"), member("Ada Bo"), member("Ada Bolanle Oluwaseun Adekunle")];
+  const { pairs, complete } = await detectDuplicates(members, 2); // one comparison per shared block
+  assert.strictEqual(complete, true);
+  assert.strictEqual(pairs.length, 1);
+});
+
+test("merging re-points meeting attendees and guests' invitedBy", async t => {
+  const updates = t.mock.method(Meeting, "updateMany", async () => ({}));
+
+  await repointMemberReferences("old", "new", "session");
+
+  const calls = updates.mock.calls.map(call => call.arguments);
+  assert.ok(calls.every(([, , options]) => options.session === "session"));
+  assert.deepStrictEqual(calls.map(([filter]) => filter), [
+    { attendees: "old" },
+    { attendees: "old" },
+    { "guests.invitedBy": "old" }
+  ]);
+  const [, guestUpdate, guestOptions] = calls[2];
+  assert.deepStrictEqual(guestUpdate, { $set: { "guests.$[ref].invitedBy": "new" } });
+  assert.deepStrictEqual(guestOptions.arrayFilters, [{ "ref.invitedBy": "old" }]);
+});
+
+test("findLookalikes checks every candidate, by phone and by name", async t => {
+  const candidates = Array.from({ length: 1200 }, (_, i) => member(`Ada Member${i}`, `0803000${String(i).padStart(4, "0")}`));
+  const samePhone = member("Chidi Obi", "+234 803 999 9999");
+  const sameName = member("Okafor Adaeze"); // last, past where a 500-row limit would stop
+  const find = t.mock.method(Member, "find", () => fakeQuery([samePhone, ...candidates, sameName]));
+
+  const lookalikes = await findLookalikes({ fullName: "Adaeze Okafor", phone: "08039999999" });
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0].$or[0], { normalizedPhone: "2348039999999" });
+  assert.deepStrictEqual(
+    lookalikes.map(l => [l.member.fullName, l.reasons]),
+    [["Chidi Obi", ["phone"]], ["Okafor Adaeze", ["name"]]]
+  );
+});
+
+test("migrateMemberPhones fills in normalizedPhone for older members only", async t => {
+  const legacy = [{ _id: "a", phone: "0803 123 4567" }, { _id: "b", phone: "+44 20 7946 0000" }];
+  const find = t.mock.method(Member.collection, "find", () => (async function* () { yield* legacy; })());
+  const bulkWrite = t.mock.method(Member.collection, "bulkWrite", async () => ({}));
+  t.mock.method(console, "log", () => {});
+
+  await migrateMemberPhones();
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0].normalizedPhone, { $exists: false });
+  assert.deepStrictEqual(bulkWrite.mock.calls[0].arguments[0].map(op => op.updateOne.update.$set.normalizedPhone), [
+    "2348031234567",
+    "442079460000"
+  ]);
+});
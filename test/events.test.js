@@ -0,0 +1,172 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { models: { Cell, Event }, eventOccurrences, icsEvent, icsFold, fakeQuery, startApp } = require("./helpers");
+
+const CAMPUS_ID = "507f1f77bcf86cd799439070";
+const DISTRICT_ID = "507f1f77bcf86cd799439071";
+const COMMUNITY_ID = "507f1f77bcf86cd799439072";
+const CELL_ID = "507f1f77bcf86cd799439073";
+const OTHER_CAMPUS_ID = "507f1f77bcf86cd799439074";
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+const at = iso => new Date(iso);
+const isoList = dates => dates.map(date => date.toISOString());
+
+function recurring(startsAt, recurrence) {
+  return { startsAt: at(startsAt), recurrence: { interval: 1, ...recurrence } };
+}
+
+test("a one-off event is listed while any part of it overlaps the window", () => {
+  const event = { startsAt: at("2026-03-01T09:00:00Z"), endsAt: at("2026-03-01T12:00:00Z") };
+
+  assert.deepStrictEqual(isoList(eventOccurrences(event, at("2026-03-01T11:00:00Z"), at("2026-03-02T00:00:00Z"))), ["2026-03-01T09:00:00.000Z"]);
+  assert.deepStrictEqual(eventOccurrences(event, at("2026-03-01T12:30:00Z"), at("2026-03-02T00:00:00Z")), []);
+});
+
+test("daily and weekly repeats jump straight to a window years after the start", () => {
+  const daily = recurring("2020-01-01T09:00:00Z", { freq: "daily" });
+  assert.deepStrictEqual(isoList(eventOccurrences(daily, at("2026-03-01T00:00:00Z"), at("2026-03-03T23:59:59Z"))), [
+    "2026-03-01T09:00:00.000Z",
+    "2026-03-02T09:00:00.000Z",
+    "2026-03-03T09:00:00.000Z"
+  ]);
+
+  // Every other Sunday from 4 January 2026
+  const fortnightly = recurring("2026-01-04T08:00:00Z", { freq: "weekly", interval: 2 });
+  assert.deepStrictEqual(isoList(eventOccurrences(fortnightly, at("2026-03-01T00:00:00Z"), at("2026-03-31T23:59:59Z"))), [
+    "2026-03-01T08:00:00.000Z",
+    "2026-03-15T08:00:00.000Z",
+    "2026-03-29T08:00:00.000Z"
+  ]);
+});
+
+test("count still counts the occurrences before the window", () => {
+  const event = recurring("2026-01-01T09:00:00Z", { freq: "daily", count: 10 });
+
+  assert.deepStrictEqual(isoList(eventOccurrences(event, at("2026-01-09T00:00:00Z"), at("2026-01-31T00:00:00Z"))), [
+    "2026-01-09T09:00:00.000Z",
+    "2026-01-10T09:00:00.000Z"
+  ]);
+  assert.deepStrictEqual(eventOccurrences(event, at("2026-02-01T00:00:00Z"), at("2026-03-01T00:00:00Z")), []);
+});
+
+test("until includes an occurrence starting exactly then and nothing after", () => {
+  const event = recurring("2026-03-02T18:00:00Z", { freq: "weekly", until: at("2026-03-16T18:00:00Z") });
+
+  assert.deepStrictEqual(isoList(eventOccurrences(event, at("2026-03-01T00:00:00Z"), at("2026-04-30T00:00:00Z"))), [
+    "2026-03-02T18:00:00.000Z",
+    "2026-03-09T18:00:00.000Z",
+    "2026-03-16T18:00:00.000Z"
+  ]);
+});
+
+test("monthly repeats on the 31st skip shorter months, and count only counts the real ones", () => {
+  const event = recurring("2026-01-31T10:00:00Z", { freq: "monthly", count: 4 });
+
+  assert.deepStrictEqual(isoList(eventOccurrences(event, at("2026-01-01T00:00:00Z"), at("2026-12-31T00:00:00Z"))), [
+    "2026-01-31T10:00:00.000Z",
+    "2026-03-31T10:00:00.000Z",
+    "2026-05-31T10:00:00.000Z",
+    "2026-07-31T10:00:00.000Z"
+  ]);
+});
+
+test("yearly repeats on 29 February only fall in leap years", () => {
+  const event = recurring("2024-02-29T10:00:00Z", { freq: "yearly" });
+
+  assert.deepStrictEqual(isoList(eventOccurrences(event, at("2024-01-01T00:00:00Z"), at("2033-01-01T00:00:00Z"))), [
+    "2024-02-29T10:00:00.000Z",
+    "2028-02-29T10:00:00.000Z",
+    "2032-02-29T10:00:00.000Z"
+  ]);
+});
+
+test("icsEvent escapes text and writes the recurrence as an RRULE", () => {
+  const lines = icsEvent({
+    _id: "507f1f77bcf86cd799439075",
+    title: "Prayer, praise; and worship",
+    description: "Bring a friend\nC:\\Hall",
+    location: "Main hall, Lekki",
+    category: "service",
+    startsAt: at("2026-03-01T09:00:00Z"),
+    updatedAt: at("2026-02-01T00:00:00Z"),
+    recurrence: { freq: "weekly", interval: 2, count: 6 },
+    status: "cancelled"
+  });
+
+  assert.ok(lines.includes("SUMMARY:Prayer\\, praise\\; and worship"));
+  assert.ok(lines.includes("DESCRIPTION:Bring a friend\\nC:\\\\Hall"));
+  assert.ok(lines.includes("LOCATION:Main hall\\, Lekki"));
+  assert.ok(lines.includes("DTSTART:20260301T090000Z"));
+  assert.ok(lines.includes("DTEND:20260301T100000Z"));
+  assert.ok(lines.includes("RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=6"));
+  assert.ok(lines.includes("STATUS:CANCELLED"));
+});
+
+test("all-day events use dates with an exclusive DTEND", () => {
+  const lines = icsEvent({
+    _id: "507f1f77bcf86cd799439076",
+    title: "Retreat",
+    category: "other",
+    allDay: true,
+    startsAt: at("2026-04-10T00:00:00Z"),
+    endsAt: at("2026-04-12T00:00:00Z"),
+    recurrence: { freq: "yearly", interval: 1, until: at("2030-04-10T00:00:00Z") }
+  });
+
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20260410"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20260413"));
+  assert.ok(lines.includes("RRULE:FREQ=YEARLY;INTERVAL=1;UNTIL=20300410"));
+});
+
+test("icsFold keeps lines within 75 octets without splitting a character", () => {
+  assert.strictEqual(icsFold("SUMMARY:Short"), "SUMMARY:Short");
+
+  for (const line of [`DESCRIPTION:${"a".repeat(200)}`, `DESCRIPTION:${"é".repeat(100)}`, `SUMMARY:${"🙏".repeat(40)}`]) {
+    const folded = icsFold(line).split("\r\n");
+    assert.ok(folded.length > 1);
+    folded.forEach((part, i) => {
+      assert.ok(Buffer.byteLength(part) <= 75, `line ${i} is ${Buffer.byteLength(part)} octets`);
+      if (i > 0) assert.strictEqual(part[0], " ");
+    });
+    assert.strictEqual(folded.map((part, i) => (i ? part.slice(1) : part)).join(""), line);
+  }
+});
+
+test("GET /api/events lists a cell's own and inherited events, not cancelled or unrelated ones", async t => {
+  t.mock.method(Cell, "findById", () => fakeQuery({
+    _id: CELL_ID, campus: CAMPUS_ID, district: DISTRICT_ID, community: COMMUNITY_ID, name: "Lekki 1"
+  }));
+
+  const events = [
+    { _id: "e1", title: "Campus service", ownerLevel: "campus", owner: CAMPUS_ID, status: "scheduled", startsAt: at("2026-03-01T09:00:00Z"), recurrence: { freq: "weekly", interval: 1 } },
+    { _id: "e2", title: "Cell meeting", ownerLevel: "cell", owner: CELL_ID, status: "scheduled", startsAt: at("2026-03-04T18:00:00Z") },
+    { _id: "e3", title: "Cancelled outreach", ownerLevel: "community", owner: COMMUNITY_ID, status: "cancelled", startsAt: at("2026-03-05T10:00:00Z") },
+    { _id: "e4", title: "Other campus", ownerLevel: "campus", owner: OTHER_CAMPUS_ID, status: "scheduled", startsAt: at("2026-03-02T09:00:00Z") }
+  ];
+  // Applies the owner and status parts of the route's filter
+  const find = t.mock.method(Event, "find", filter => fakeQuery(events.filter(event =>
+    event.status === filter.status &&
+    filter.$and[0].$or.some(({ ownerLevel, owner }) => ownerLevel === event.ownerLevel && String(owner) === event.owner)
+  )));
+
+  const res = await app.request(`/api/events?cellId=${CELL_ID}&from=2026-03-01T00:00:00Z&to=2026-03-10T00:00:00Z`);
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0].$and[0].$or.map(o => [o.ownerLevel, String(o.owner)]), [
+    ["campus", CAMPUS_ID],
+    ["district", DISTRICT_ID],
+    ["community", COMMUNITY_ID],
+    ["cell", CELL_ID]
+  ]);
+  assert.deepStrictEqual(body.data.map(o => [o.title, o.occurrenceStart]), [
+    ["Campus service", "2026-03-01T09:00:00.000Z"],
+    ["Cell meeting", "2026-03-04T18:00:00.000Z"],
+    ["Campus service", "2026-03-08T09:00:00.000Z"]
+  ]);
+  assert.strictEqual(body.total, 3);
+});
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { Writable } = require("node:stream");
+const { csvField, createExportWriter } = require("./helpers");
+
+// A response that accepts 16 KB at a time and drains slowly
+function slowResponse() {
+  const res = new Writable({ highWaterMark: 16 * 1024, write: (chunk, enc, cb) => setTimeout(cb, 1) });
+  res.setHeader = () => {};
+  return res;
+}
+
+const columns = [{ header: "Name", key: "name" }, { header: "Note", key: "note" }];
+
+test("csvField neutralises formulas", () => {
+  for (const value of ["=1+1", "@SUM(A1)", "-2+3+cmd|' /C calc'!A0", "+1+cmd|x!A0", "\t=1+1", "\r=1+1", "-x"]) {
+    assert.ok(csvField(value).replace(/^"/, "").startsWith("'"), `${JSON.stringify(value)} was not neutralised`);
+  }
+});
+
+test("csvField leaves phone numbers and plain numbers alone", () => {
+  for (const value of ["+234 803 000 0000", "+1 (555) 010-2000", "-5", "0803-000-0000", "12.5"]) {
+    assert.strictEqual(csvField(value), value);
+  }
+});
+
+test("csvField quotes separators and quotes", () => {
+  assert.strictEqual(csvField('Lekki, "Phase 1"'), '"Lekki, ""Phase 1"""');
+  assert.strictEqual(csvField(null), "");
+});
+
+for (const format of ["csv", "xlsx"]) {
+  test(`${format} export waits for the client instead of buffering`, async () => {
+    const res = slowResponse();
+    const writer = createExportWriter(res, format, "members", columns);
+    let maxBuffered = 0;
+    for (let i = 0; i < 3000; i++) {
+      await writer.write({ name: `Member ${i}`, note: "x".repeat(200) });
+      maxBuffered = Math.max(maxBuffered, res.writableLength);
+    }
+    await writer.end();
+    // Rows reach the response while exporting (filling its buffer), not only at the end
+    assert.ok(maxBuffered >= res.writableHighWaterMark / 2, `buffered only ${maxBuffered} bytes`);
+    assert.ok(maxBuffered <= 2 * res.writableHighWaterMark, `buffered ${maxBuffered} bytes`);
+  });
+}
+
+test("export stops when the client disconnects", async () => {
+  const res = slowResponse();
+  const writer = createExportWriter(res, "csv", "members", columns);
+  res.destroy();
+  await assert.rejects(writer.write({ name: "Ada", note: "" }), /disconnected/);
+});
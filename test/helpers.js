@@ -0,0 +1,72 @@
+// Shared setup for the node:test suites: loads the app without a database and
+// lets tests stub model queries instead.
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Uploaded media goes to a scratch directory instead of Cloudinary
+process.env.STORAGE = "local";
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "harvesters-media-"));
+process.on("exit", () => fs.rmSync(process.env.LOCAL_STORAGE_DIR, { recursive: true, force: true }));
+
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+// Queries on models a test forgot to stub fail fast instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+const server = require("../server");
+
+// A chainable, awaitable stand-in for a Mongoose query resolving to `value`
+function fakeQuery(value) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: reject => Promise.resolve(value).catch(reject),
+    exec: () => Promise.resolve(value),
+    cursor: () => (async function* () { yield* value; })()
+  };
+  ["select", "lean", "sort", "limit", "skip", "session", "populate"].forEach(name => {
+    query[name] = () => query;
+  });
+  return query;
+}
+
+// Listen on a random port; call close() in an after() hook
+async function startApp() {
+  const listener = server.app.listen(0);
+  await new Promise(resolve => listener.once("listening", resolve));
+  const base = `http://127.0.0.1:${listener.address().port}`;
+  return {
+    base,
+    request: (path, init) => fetch(base + path, init),
+    close: () => new Promise(resolve => listener.close(resolve))
+  };
+}
+
+function tokenFor(role, sub, extra = {}, options = { expiresIn: "15m" }) {
+  return jwt.sign({ sub, role, scope: {}, ...extra }, process.env.JWT_SECRET, options);
+}
+
+// A signed anonymous device token, as issued by POST /api/device-token
+const deviceToken = id => jwt.sign({ type: "device", sub: id }, process.env.JWT_SECRET);
+
+// Every file currently in local media storage (relative paths)
+function storedFiles() {
+  return fs.readdirSync(process.env.LOCAL_STORAGE_DIR, { recursive: true })
+    .filter(name => fs.statSync(path.join(process.env.LOCAL_STORAGE_DIR, name)).isFile());
+}
+
+// A small PNG, generated so the tests don't ship binary fixtures
+function pngBlob() {
+  return require("sharp")({ create: { width: 32, height: 32, channels: 3, background: "#4CAF50" } })
+    .png()
+    .toBuffer()
+    .then(buffer => new Blob([buffer], { type: "image/png" }));
+}
+
+// Resolves once pending "finish" handlers (e.g. discardMediaOnError) have run
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+module.exports = { ...server, fakeQuery, startApp, tokenFor, deviceToken, storedFiles, pngBlob, settle };
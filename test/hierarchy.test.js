@@ -0,0 +1,106 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { models: { District, Community, Cell, SuperAdmin }, runInTransaction, dropIndexIfExists, fakeQuery, startApp, tokenFor } = require("./helpers");
+
+const DISTRICT_ID = "507f1f77bcf86cd799439040";
+const NEW_CAMPUS_ID = "507f1f77bcf86cd799439041";
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+test("the scope comes from the live account, not the token", async t => {
+  // The district was moved to another campus after the token was issued
+  t.mock.method(District, "findById", () => fakeQuery({ _id: DISTRICT_ID, campus: NEW_CAMPUS_ID, status: "active" }));
+  const token = tokenFor("district", DISTRICT_ID, { scope: { campus: "507f1f77bcf86cd799439042", district: DISTRICT_ID } });
+
+  const res = await app.request("/api/auth/me", { headers: { Authorization: `Bearer ${token}` } });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual((await res.json()).data.scope, { campus: NEW_CAMPUS_ID, district: DISTRICT_ID });
+});
+
+function fakeSession(error) {
+  return {
+    withTransaction: async () => { throw error; },
+    endSession: async () => {}
+  };
+}
+
+test("runInTransaction passes on errors other than missing transaction support", async t => {
+  t.mock.method(mongoose, "startSession", async () => fakeSession(Object.assign(new Error("write conflict"), { code: 112 })));
+  await assert.rejects(runInTransaction(async () => "done"), /write conflict/);
+});
+
+test("runInTransaction runs without a session when the server has no transactions", async t => {
+  const notReplicaSet = Object.assign(
+    new Error("Transaction numbers are only allowed on a replica set member or mongos"),
+    { code: 20 }
+  );
+  const startSession = t.mock.method(mongoose, "startSession", async () => fakeSession(notReplicaSet));
+  const warn = t.mock.method(console, "warn", () => {});
+  const sessions = [];
+  const work = async session => { sessions.push(session); return "done"; };
+
+  assert.strictEqual(await runInTransaction(work), "done");
+  assert.strictEqual(await runInTransaction(work), "done");
+
+  assert.deepStrictEqual(sessions, [null, null]);
+  assert.strictEqual(startSession.mock.callCount(), 1); // remembered after the first refusal
+  assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test("community names stay unique across districts, ignoring case", async t => {
+  const ADMIN_ID = "507f1f77bcf86cd799439043";
+  const community = new Community({ name: "Lekki", district: DISTRICT_ID, leader: "Ada", leaderPhone: "0803", password: "x" });
+  const save = t.mock.method(community, "save", async () => community);
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery({ _id: ADMIN_ID, status: "active" }));
+  t.mock.method(Community, "findById", () => fakeQuery(community));
+  // Another district already has "IKOYI"
+  const findOne = t.mock.method(Community, "findOne", () => fakeQuery({ _id: "507f1f77bcf86cd799439044", name: "IKOYI" }));
+
+  const res = await app.request(`/api/community/${community._id}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` },
+    body: JSON.stringify({ name: "Ikoyi" })
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await res.json()).code, "DUPLICATE");
+  assert.deepStrictEqual(findOne.mock.calls[0].arguments[0].$or, [{ normalizedName: "ikoyi" }]);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test("archived cells and communities can't be moved", async t => {
+  const ADMIN_ID = "507f1f77bcf86cd799439045";
+  const archived = { _id: "507f1f77bcf86cd799439046", status: "archived", district: DISTRICT_ID };
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery({ _id: ADMIN_ID, status: "active" }));
+  t.mock.method(Cell, "findById", () => fakeQuery(archived));
+  t.mock.method(Community, "findById", () => fakeQuery(archived));
+  const cellWrite = t.mock.method(Cell, "updateOne", async () => ({}));
+  const communityWrite = t.mock.method(Community, "updateOne", async () => ({}));
+
+  for (const [level, body] of [["cell", { community: "507f1f77bcf86cd799439047" }], ["community", { district: DISTRICT_ID }]]) {
+    const res = await app.request(`/api/${level}/${archived._id}/move`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` },
+      body: JSON.stringify(body)
+    });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).message, `${level[0].toUpperCase()}${level.slice(1)} is archived`);
+  }
+  assert.strictEqual(cellWrite.mock.callCount(), 0);
+  assert.strictEqual(communityWrite.mock.callCount(), 0);
+});
+
+test("dropIndexIfExists ignores an index that is already gone", async t => {
+  const gone = Object.assign(new Error("index not found with name [name_1]"), { code: 27 });
+  t.mock.method(Community.collection, "dropIndex", async () => { throw gone; });
+  await dropIndexIfExists(Community, "name_1");
+});
+
+test("dropIndexIfExists reports other failures", async t => {
+  const denied = Object.assign(new Error("not authorized"), { code: 13 });
+  t.mock.method(Community.collection, "dropIndex", async () => { throw denied; });
+  await assert.rejects(dropIndexIfExists(Community, "name_1"), /not authorized/);
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const { models: { SuperAdmin, Cell, Member, DuplicateCandidate }, fakeQuery, startApp, tokenFor } = require("./helpers");
+
+const ADMIN_ID = "507f1f77bcf86cd799439060";
+const cell = { _id: "507f1f77bcf86cd799439061", normalizedName: "lekki cell", district: "507f1f77bcf86cd799439062" };
+const existing = { _id: "507f1f77bcf86cd799439063", fullName: "Adaeze Okafor", phone: "0803 999 9999", normalizedPhone: "2348039999999" };
+
+const csv = [
+  "fullName,address,phone,email,cell",
+  "Okafor Adaeze,1 Admiralty Way,08031112222,adaeze@example.com,Lekki Cell",
+  "Bola Adeyemi,2 Admiralty Way,08034445555,bola@example.com,Lekki Cell",
+  "Bola Adeyemi,3 Admiralty Way,08034445555,bola2@example.com,Lekki Cell"
+].join("\n");
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+function stubImport(t) {
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery({ _id: ADMIN_ID, status: "active" }));
+  t.mock.method(Cell, "find", () => fakeQuery([cell]));
+  // Lookalike queries ($or) see the existing member; the email check sees nobody
+  t.mock.method(Member, "find", filter => fakeQuery(filter?.$or ? [existing] : []));
+}
+
+const upload = mode => {
+  const form = new FormData();
+  form.append("file", new Blob([csv], { type: "text/csv" }), "members.csv");
+  return app.request(`/api/import/members?mode=${mode}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` },
+    body: form
+  });
+};
+
+test("a dry run lists likely duplicates per row", async t => {
+  stubImport(t);
+  const res = await upload("dry-run");
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(body.possibleDuplicates, [
+    { row: 2, matches: [{ id: existing._id, fullName: "Adaeze Okafor", reasons: ["name"] }] },
+    { row: 4, matches: [{ row: 3, fullName: "Bola Adeyemi", reasons: ["phone", "name"] }] }
+  ]);
+});
+
+test("a committed import queues its members for duplicate review", async t => {
+  stubImport(t);
+  t.mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async work => work(),
+    endSession: async () => {}
+  }));
+  t.mock.method(Member, "insertMany", async docs => docs.map((doc, i) => ({ ...doc, _id: `507f1f77bcf86cd79943907${i}` })));
+  const queued = t.mock.method(DuplicateCandidate, "bulkWrite", async ops => ({ upsertedCount: ops.length }));
+
+  const res = await upload("commit");
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(body.created, 3);
+  const pairKeys = queued.mock.calls[0].arguments[0].map(op => op.updateOne.filter.pairKey);
+  assert.deepStrictEqual(pairKeys, [[existing._id, "507f1f77bcf86cd799439070"].sort().join(":")]);
+  assert.strictEqual(body.duplicatesQueued, 1);
+});
@@ -0,0 +1,97 @@
+// A small image limit so the size check is cheap to hit (read when server.js loads)
+process.env.IMAGE_MAX_MB = "1";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { models: { SuperAdmin, Campus, Cell, Post, Comment }, fakeQuery, startApp, tokenFor, storedFiles, pngBlob, settle } = require("./helpers");
+
+const ADMIN_ID = "507f1f77bcf86cd799439030";
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+test("a logo upload is removed again when the form fails validation", async t => {
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery({ _id: ADMIN_ID, status: "active" }));
+  const form = new FormData();
+  form.append("logo", await pngBlob(), "logo.png");
+  form.append("name", ""); // required
+
+  const res = await app.request("/api/campus/register", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` },
+    body: form
+  });
+  await settle();
+
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(storedFiles(), []);
+});
+
+test("replacing a logo removes the old file and moves posts to the new one", async t => {
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery({ _id: ADMIN_ID, status: "active" }));
+  const campus = new Campus({ name: "Lekki", address: "1 Admiralty Way", email: "lekki@example.com", password: "x" });
+  t.mock.method(campus, "save", async () => campus);
+  t.mock.method(Campus, "findById", () => fakeQuery(campus));
+  const postUpdates = t.mock.method(Post, "updateMany", async () => ({}));
+  t.mock.method(Comment, "updateMany", async () => ({}));
+
+  const putLogo = async () => {
+    const form = new FormData();
+    form.append("logo", await pngBlob(), "logo.png");
+    const res = await app.request(`/api/campus/${campus._id}`, {
+      method: "PUT",
+      headers: { Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` },
+      body: form
+    });
+    await settle();
+    assert.strictEqual(res.status, 200);
+  };
+
+  await putLogo();
+  const firstFiles = storedFiles();
+  assert.ok(firstFiles.length > 0);
+  assert.strictEqual(campus.logoFile.storage, "local");
+
+  await putLogo();
+  const secondFiles = storedFiles();
+  assert.strictEqual(secondFiles.length, firstFiles.length);
+  assert.ok(secondFiles.every(file => !firstFiles.includes(file)), "the old logo is still stored");
+  assert.ok(secondFiles.some(file => campus.logo.endsWith(file)));
+
+  const [filter, update] = postUpdates.mock.calls.at(-1).arguments;
+  assert.deepStrictEqual(filter, { uploaderRole: "campus", uploaderId: String(campus._id) });
+  assert.strictEqual(update.$set.uploaderLogo, campus.logoVariants.thumb);
+});
+
+const CELL_ID = "507f1f77bcf86cd799439031";
+
+async function uploadPost(t, blob) {
+  t.mock.method(Cell, "findById", () => fakeQuery({ _id: CELL_ID, status: "active" }));
+  const form = new FormData();
+  form.append("files", blob, "photo.png");
+  const res = await app.request("/api/upload", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${tokenFor("cell", CELL_ID)}` },
+    body: form,
+    signal: AbortSignal.timeout(5000)
+  });
+  await settle();
+  return res;
+}
+
+test("an unreadable image is rejected with 400 and nothing is stored", async t => {
+  const before = storedFiles();
+  const res = await uploadPost(t, new Blob([Buffer.from("definitely not a png")], { type: "image/png" }));
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await res.json()).code, "UPLOAD_REJECTED");
+  assert.deepStrictEqual(storedFiles(), before);
+});
+
+test("an image over the image limit is refused while it streams in", async t => {
+  const before = storedFiles();
+  const res = await uploadPost(t, new Blob([Buffer.alloc(2 * 1024 * 1024)], { type: "image/png" }));
+  assert.strictEqual(res.status, 413);
+  assert.strictEqual((await res.json()).code, "PAYLOAD_TOO_LARGE");
+  assert.deepStrictEqual(storedFiles(), before);
+});
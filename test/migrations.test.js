@@ -0,0 +1,204 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { models: { Post, Like, Comment, Image }, migrateImagesToPosts, migrateLikes, runPostMigrations, fakeQuery, startApp, settle } = require("./helpers");
+
+const UPLOADER_A = "507f1f77bcf86cd799439080";
+const UPLOADER_B = "507f1f77bcf86cd799439081";
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+const objectId = n => `64b000000000000000000${String(n).padStart(3, "0")}`;
+const at = seconds => new Date(Date.UTC(2024, 0, 1, 12, 0, seconds));
+
+function legacyImage(n, uploaderId, seconds, comments, likedBy = []) {
+  return {
+    _id: objectId(n),
+    url: `https://cdn.example/${n}.jpg`,
+    type: "image",
+    comments,
+    likedBy,
+    uploaderId,
+    uploaderRole: "cell",
+    uploaderName: "Lekki 1",
+    uploaderLogo: "",
+    createdAt: at(seconds),
+    updatedAt: at(seconds)
+  };
+}
+
+// In-memory Image, Post and Like collections behind the model calls the migration makes
+function fakeStore(t, images, likes) {
+  const posts = [];
+  const sameId = (a, b) => String(a) === String(b);
+  const inIds = (value, ids) => ids.some(id => sameId(id, value));
+
+  t.mock.method(Image, "find", filter => {
+    assert.deepStrictEqual(filter, { migratedTo: { $exists: false } });
+    return fakeQuery(images.filter(image => !image.migratedTo));
+  });
+  t.mock.method(Image, "updateMany", async ({ _id }, { $set }) => {
+    images.filter(image => inIds(image._id, _id.$in)).forEach(image => Object.assign(image, $set));
+  });
+
+  t.mock.method(Post, "findOne", ({ legacyImages }) =>
+    fakeQuery(posts.find(post => inIds(legacyImages, post.legacyImages)) || null));
+  t.mock.method(Post.prototype, "save", async function () {
+    posts.push(this);
+    return this;
+  });
+  t.mock.method(Comment, "updateMany", async () => ({}));
+
+  t.mock.method(Like, "find", ({ upload }) => fakeQuery(likes.filter(like => inIds(like.upload, upload.$in))));
+  t.mock.method(Like, "deleteMany", async ({ upload }) => {
+    likes.splice(0, likes.length, ...likes.filter(like => !inIds(like.upload, upload.$in)));
+  });
+  t.mock.method(Like, "updateOne", async ({ upload, reactor }, { $setOnInsert = {}, $min = {}, $max = {} }) => {
+    let like = likes.find(row => sameId(row.upload, upload) && row.reactor === reactor);
+    if (!like) likes.push(like = { upload, reactor, ...$setOnInsert });
+    for (const [field, value] of Object.entries($min)) if (!(like[field] <= value)) like[field] = value;
+    for (const [field, value] of Object.entries($max)) if (!(like[field] >= value)) like[field] = value;
+  });
+
+  return posts;
+}
+
+test("legacy uploads are grouped by uploader, caption and the 5 s window", async t => {
+  // In the order the migration's sort returns them: by uploader, then time
+  const images = [
+    legacyImage(1, UPLOADER_A, 0, "Sunday service"),
+    legacyImage(2, UPLOADER_A, 2, "Sunday service"),
+    legacyImage(3, UPLOADER_A, 5, "Sunday service"),
+    legacyImage(4, UPLOADER_A, 6, "Sunday service"), // 6 s after the first of its group
+    legacyImage(5, UPLOADER_A, 7, "Outreach"),
+    legacyImage(6, UPLOADER_B, 0, "Sunday service")
+  ];
+  const posts = fakeStore(t, images, []);
+
+  await migrateImagesToPosts();
+
+  assert.deepStrictEqual(posts.map(post => post.legacyImages.map(String)), [
+    [objectId(1), objectId(2), objectId(3)],
+    [objectId(4)],
+    [objectId(5)],
+    [objectId(6)]
+  ]);
+  assert.deepStrictEqual(posts.map(post => [String(post.uploaderId), post.caption, post.media.length]), [
+    [UPLOADER_A, "Sunday service", 3],
+    [UPLOADER_A, "Sunday service", 1],
+    [UPLOADER_A, "Outreach", 1],
+    [UPLOADER_B, "Sunday service", 1]
+  ]);
+  assert.deepStrictEqual(posts[0].createdAt, at(0));
+  assert.ok(images.every(image => posts.some(post => String(post._id) === String(image.migratedTo))));
+});
+
+test("likes on the files of one post are combined, keeping each reactor's earliest", async t => {
+  const images = [
+    legacyImage(11, UPLOADER_A, 0, "", ["phone-1", "phone-2"]),
+    legacyImage(12, UPLOADER_A, 1, "", ["phone-1"])
+  ];
+  const likes = [
+    { upload: objectId(11), reactor: "cell:1", type: "like", createdAt: at(30), updatedAt: at(30) },
+    { upload: objectId(12), reactor: "cell:1", type: "love", createdAt: at(20), updatedAt: at(40) },
+    { upload: objectId(12), reactor: "campus:2", type: "pray", createdAt: at(50), updatedAt: at(50) }
+  ];
+  const posts = fakeStore(t, images, likes);
+
+  await migrateImagesToPosts();
+
+  assert.strictEqual(posts.length, 1);
+  const [post] = posts;
+
+  const byReactor = Object.fromEntries(likes.map(like => [like.reactor, like]));
+  assert.ok(likes.every(like => String(like.upload) === String(post._id)));
+  assert.strictEqual(likes.length, 4); // cell:1, campus:2 and the two legacy deviceIds
+  assert.deepStrictEqual([byReactor["cell:1"].createdAt, byReactor["cell:1"].updatedAt], [at(20), at(40)]);
+  assert.strictEqual(byReactor["campus:2"].type, "pray");
+  assert.strictEqual(likes.filter(like => like.reactor.startsWith("legacy:")).length, 2);
+});
+
+test("rerunning after an interruption creates no second post and no extra likes", async t => {
+  const images = [
+    legacyImage(21, UPLOADER_A, 0, "Choir", ["phone-1"]),
+    legacyImage(22, UPLOADER_A, 1, "Choir", ["phone-1", "phone-2"]),
+    legacyImage(23, UPLOADER_B, 0, "Youth", ["phone-3"])
+  ];
+  const likes = [];
+  const posts = fakeStore(t, images, likes);
+
+  // The first run stops after creating the first post and its likes, before marking the images
+  Image.updateMany.mock.mockImplementationOnce(async () => { throw new Error("connection lost"); });
+  await assert.rejects(migrateImagesToPosts(), /connection lost/);
+  assert.strictEqual(posts.length, 1);
+
+  await migrateImagesToPosts();
+  await migrateImagesToPosts();
+
+  assert.deepStrictEqual(posts.map(post => post.legacyImages.map(String)), [[objectId(21), objectId(22)], [objectId(23)]]);
+  assert.strictEqual(likes.filter(like => String(like.upload) === String(posts[0]._id)).length, 2);
+  assert.strictEqual(likes.filter(like => String(like.upload) === String(posts[1]._id)).length, 1);
+  assert.strictEqual(likes.length, 3);
+});
+
+test("migrateLikes turns deviceIds into one legacy reaction per device and post, and reruns change nothing", async t => {
+  const POST_ID = objectId(41);
+  const rows = [
+    { _id: "l1", upload: POST_ID, deviceId: "phone-1", createdAt: at(0) },
+    { _id: "l2", upload: POST_ID, reactor: "cell:1", type: "amen", createdAt: at(1) }
+  ];
+  const posts = [{ _id: POST_ID, likedBy: ["phone-1", "phone-1", "phone-2"], likes: 3, createdAt: at(0) }];
+  const rowsOf = filter => rows.filter(row => !filter.deviceId || row.deviceId !== undefined);
+
+  t.mock.method(Like.collection, "dropIndex", async () => {});
+  t.mock.method(Like.collection, "find", filter => (async function* () { yield* rowsOf(filter); })());
+  t.mock.method(Like.collection, "updateOne", async ({ _id }, { $set, $unset }) => {
+    const row = rows.find(r => r._id === _id);
+    Object.assign(row, $set);
+    Object.keys($unset).forEach(field => delete row[field]);
+  });
+  t.mock.method(Like, "updateOne", async ({ upload, reactor }, { $setOnInsert }) => {
+    if (!rows.some(row => String(row.upload) === String(upload) && row.reactor === reactor)) {
+      rows.push({ upload, reactor, ...$setOnInsert });
+    }
+  });
+  t.mock.method(Post.collection, "find", () => (async function* () { yield* posts.filter(post => post.likedBy); })());
+  t.mock.method(Post.collection, "updateOne", async ({ _id }, { $unset }) => {
+    const post = posts.find(p => p._id === _id);
+    Object.keys($unset).forEach(field => delete post[field]);
+  });
+
+  await migrateLikes();
+  const afterFirstRun = structuredClone(rows);
+  await migrateLikes();
+
+  assert.deepStrictEqual(rows, afterFirstRun);
+  assert.ok(rows.every(row => row.deviceId === undefined && row.reactor));
+  assert.deepStrictEqual(rows.map(row => row.reactor.split(":")[0]).sort(), ["cell", "legacy", "legacy"]);
+  assert.strictEqual(rows.find(row => row._id === "l1").createdAt.getTime(), at(0).getTime());
+  assert.deepStrictEqual(posts, [{ _id: POST_ID, createdAt: at(0) }]);
+});
+
+test("feed reads wait for a running post migration", async t => {
+  let finishMigration;
+  t.mock.method(Like.collection, "dropIndex", () => new Promise(resolve => { finishMigration = resolve; }));
+  t.mock.method(Like.collection, "find", () => (async function* () {})());
+  t.mock.method(Post.collection, "find", () => (async function* () {})());
+  t.mock.method(Image, "find", () => fakeQuery([]));
+  t.mock.method(Post, "findById", () => fakeQuery(null));
+  t.mock.method(Post, "findOne", () => fakeQuery(null));
+
+  const migration = runPostMigrations();
+  let status = null;
+  const read = app.request(`/api/uploads/${objectId(31)}`).then(res => { status = res.status; });
+
+  await settle();
+  assert.strictEqual(status, null);
+  assert.strictEqual(Post.findById.mock.callCount(), 0);
+
+  finishMigration();
+  await migration;
+  await read;
+  assert.strictEqual(status, 404);
+});
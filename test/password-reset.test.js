@@ -0,0 +1,33 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { models: { Campus, District, Community, PasswordReset }, notifier, fakeQuery, startApp } = require("./helpers");
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+const forgot = identifier => app.request("/api/auth/forgot-password", {
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify({ identifier })
+});
+
+test("forgot-password gives the generic reply when delivery fails", async t => {
+  const community = { _id: "507f1f77bcf86cd799439012", name: "Lekki", leaderPhone: "+2348000000000", status: "active" };
+  t.mock.method(console, "error", () => {});
+  for (const Model of [Campus, District]) {
+    t.mock.method(Model, "findOne", () => fakeQuery(null));
+  }
+  t.mock.method(Community, "findOne", () => fakeQuery(community));
+  t.mock.method(PasswordReset, "deleteMany", async () => ({}));
+  t.mock.method(PasswordReset, "create", async doc => doc);
+  const send = t.mock.method(notifier, "send", async () => { throw new Error("No email address"); });
+
+  const res = await forgot("lekki");
+  const body = await res.json();
+
+  assert.strictEqual(send.mock.callCount(), 1);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(body.success, true);
+  assert.match(body.message, /If the account exists/);
+});
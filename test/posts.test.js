@@ -0,0 +1,163 @@
+// Cell posts wait for review (read when server.js loads)
+process.env.PREMODERATED_ROLES = "cell";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { models: { Cell, Campus, Post, Like, Comment }, fakeQuery, startApp, tokenFor, deviceToken } = require("./helpers");
+
+const POST_ID = "507f1f77bcf86cd799439020";
+const CELL_ID = "507f1f77bcf86cd799439021";
+const pendingPost = { _id: POST_ID, status: "pending", uploaderRole: "cell", uploaderId: CELL_ID };
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+function stubPost(t, post) {
+  t.mock.method(Post, "findById", () => fakeQuery(post));
+  t.mock.method(Post, "findOne", () => fakeQuery(null));
+}
+
+function stubComments(t) {
+  t.mock.method(Comment, "find", () => fakeQuery([]));
+  t.mock.method(Comment, "countDocuments", async () => 0);
+}
+
+const hashDevice = reactor => crypto.createHash("sha256").update(reactor).digest("hex");
+const signedIn = (role, id) => ({ Authorization: `Bearer ${tokenFor(role, id)}` });
+
+test("comments of an unpublished post are hidden from the public", async t => {
+  stubPost(t, pendingPost);
+  const res = await app.request(`/api/uploads/${POST_ID}/comments`);
+  assert.strictEqual(res.status, 404);
+});
+
+test("nobody but the uploader can comment on an unpublished post", async t => {
+  stubPost(t, pendingPost);
+  t.mock.method(Campus, "findById", () => fakeQuery({ status: "active" }));
+  const create = t.mock.method(Comment, "create", async doc => doc);
+
+  const res = await app.request(`/api/uploads/${POST_ID}/comments`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...signedIn("campus", "507f1f77bcf86cd799439022") },
+    body: JSON.stringify({ text: "Amen" })
+  });
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test("nobody but the uploader can react to an unpublished post", async t => {
+  stubPost(t, pendingPost);
+  t.mock.method(Campus, "findById", () => fakeQuery({ status: "active" }));
+  const write = t.mock.method(Like, "updateOne", async () => ({}));
+
+  const res = await app.request(`/api/uploads/${POST_ID}/like`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...signedIn("campus", "507f1f77bcf86cd799439022") },
+    body: JSON.stringify({ type: "amen" })
+  });
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(write.mock.callCount(), 0);
+});
+
+test("the uploader still sees comments on their unpublished post", async t => {
+  stubPost(t, pendingPost);
+  stubComments(t);
+  t.mock.method(Cell, "findById", () => fakeQuery({ status: "active" }));
+
+  const res = await app.request(`/api/uploads/${POST_ID}/comments`, { headers: signedIn("cell", CELL_ID) });
+  assert.strictEqual(res.status, 200);
+});
+
+test("comments of a published post are public", async t => {
+  stubPost(t, { ...pendingPost, status: "published" });
+  stubComments(t);
+  const res = await app.request(`/api/uploads/${POST_ID}/comments`);
+  assert.strictEqual(res.status, 200);
+});
+
+test("anonymous comments need a device token, which then marks them as mine", async t => {
+  stubPost(t, { ...pendingPost, status: "published" });
+  t.mock.method(Comment, "create", async doc => new Comment(doc));
+  const post = body => app.request(`/api/uploads/${POST_ID}/comments`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...body.headers },
+    body: JSON.stringify(body.json)
+  });
+
+  const withoutToken = await post({ json: { text: "Amen", authorName: "Ada", deviceId: "phone-1" } });
+  assert.strictEqual(withoutToken.status, 401);
+  assert.strictEqual((await withoutToken.json()).code, "AUTH_REQUIRED");
+
+  const res = await post({ headers: { "X-Device-Token": deviceToken("phone-1") }, json: { text: "Amen", authorName: "Ada" } });
+  assert.strictEqual(res.status, 201);
+  const { data } = await res.json();
+  assert.strictEqual(data.mine, true);
+  assert.strictEqual(data.author.deviceHash, undefined);
+  assert.strictEqual(Comment.create.mock.calls[0].arguments[0].author.deviceHash, hashDevice("device:phone-1"));
+});
+
+test("only the author's device token can edit an anonymous comment", async t => {
+  const comment = new Comment({ upload: POST_ID, text: "Amen", author: { name: "Ada", deviceHash: hashDevice("device:phone-1") } });
+  t.mock.method(Comment, "findById", () => fakeQuery(comment));
+  t.mock.method(Comment.prototype, "save", async function () { return this; });
+  const edit = headers => app.request(`/api/comments/${comment._id}?deviceId=phone-1`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ text: "Amen!", deviceId: "phone-1" })
+  });
+
+  assert.strictEqual((await edit({})).status, 403);
+  assert.strictEqual((await edit({ "X-Device-Token": deviceToken("phone-2") })).status, 403);
+  const res = await edit({ "X-Device-Token": deviceToken("phone-1") });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).data.text, "Amen!");
+});
+
+for (const method of ["POST", "DELETE"]) {
+  test(`${method} like answers 500 when the reaction summary fails`, async t => {
+    stubPost(t, { ...pendingPost, status: "published" });
+    t.mock.method(Like, "deleteOne", async () => ({ deletedCount: 0 }));
+    t.mock.method(Like, "updateOne", async () => ({}));
+    t.mock.method(Like, "aggregate", async () => { throw new Error("aggregate failed"); });
+    t.mock.method(Like, "find", () => fakeQuery([]));
+    t.mock.method(console, "error", () => {});
+
+    const res = await app.request(`/api/uploads/${POST_ID}/like`, {
+      method,
+      headers: { "Content-Type": "application/json", "X-Device-Token": deviceToken("device-1") },
+      body: method === "POST" ? JSON.stringify({ type: "amen" }) : undefined,
+      signal: AbortSignal.timeout(2000)
+    });
+    assert.strictEqual(res.status, 500);
+  });
+}
+
+test("editing an approved post in a pre-moderated role sends it back for review", async t => {
+  const post = new Post({
+    media: [{ url: "https://example.com/a.jpg", type: "image" }],
+    caption: "Sunday service",
+    uploaderId: CELL_ID, uploaderRole: "cell", uploaderName: "Lekki Cell",
+    status: "published",
+    moderation: [{ action: "approve" }]
+  });
+  t.mock.method(post, "save", async () => post);
+  stubPost(t, post);
+  t.mock.method(Cell, "findById", () => fakeQuery({ _id: CELL_ID, status: "active" }));
+
+  const edit = caption => app.request(`/api/uploads/${post._id}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", ...signedIn("cell", CELL_ID) },
+    body: JSON.stringify({ caption })
+  });
+
+  assert.strictEqual((await edit("Sunday service")).status, 200); // unchanged: stays published
+  assert.strictEqual(post.status, "published");
+
+  const res = await edit("Buy followers at spam.example");
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(post.status, "pending");
+  assert.strictEqual(post.moderation.at(-1).action, "edit");
+  assert.strictEqual(String(post.moderation.at(-1).by.id), CELL_ID);
+});
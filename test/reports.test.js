@@ -0,0 +1,26 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { models: { Cell, CellReport, SuperAdmin }, fakeQuery, startApp, tokenFor } = require("./helpers");
+
+const ADMIN_ID = "507f1f77bcf86cd799439060";
+const CELL_ID = "507f1f77bcf86cd799439061";
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+test("archived cells can't submit weekly reports", async t => {
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery({ _id: ADMIN_ID, status: "active" }));
+  t.mock.method(Cell, "findById", () => fakeQuery({ _id: CELL_ID, status: "archived" }));
+  const write = t.mock.method(CellReport, "findOneAndUpdate", async () => ({}));
+
+  const res = await app.request(`/api/cell/${CELL_ID}/reports`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` },
+    body: JSON.stringify({ attendance: 12, newConverts: 1 })
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual((await res.json()).message, "Cell is archived");
+  assert.strictEqual(write.mock.callCount(), 0);
+});
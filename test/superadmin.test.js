@@ -0,0 +1,65 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { models: { SuperAdmin, PasswordReset, AdminAudit }, notifier, fakeQuery, startApp, tokenFor } = require("./helpers");
+
+const ADMIN_ID = "507f1f77bcf86cd799439013";
+
+let app;
+before(async () => { app = await startApp(); });
+after(() => app.close());
+
+const queue = () => app.request("/api/moderation/queue", {
+  headers: { Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` }
+});
+
+test("a disabled superadmin's token stops working on superadmin routes", async t => {
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery({ _id: ADMIN_ID, status: "disabled", level: "super" }));
+  const res = await queue();
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await res.json()).code, "ACCOUNT_DISABLED");
+});
+
+test("a deleted superadmin's token stops working on superadmin routes", async t => {
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery(null));
+  assert.strictEqual((await queue()).status, 401);
+});
+
+test("an active superadmin gets past the role check", async t => {
+  t.mock.method(SuperAdmin, "findById", () => fakeQuery({ _id: ADMIN_ID, status: "active", level: "super" }));
+  const res = await app.request("/api/moderation/queue?status=bogus", {
+    headers: { Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` }
+  });
+  assert.strictEqual(res.status, 400); // rejected by validation, not by authorize
+});
+
+test("an invite whose delivery fails keeps the account and can be resent", async t => {
+  const INVITED_ID = "507f1f77bcf86cd799439014";
+  const invited = { _id: INVITED_ID, name: "Ada", email: "ada@example.com", level: "standard", status: "invited" };
+  const me = { _id: ADMIN_ID, name: "Root", status: "active", level: "super" };
+  t.mock.method(SuperAdmin, "findById", id => fakeQuery(String(id) === INVITED_ID ? invited : me));
+  t.mock.method(SuperAdmin, "findOne", () => fakeQuery(null));
+  t.mock.method(SuperAdmin, "create", async () => invited);
+  t.mock.method(PasswordReset, "deleteMany", async () => ({}));
+  t.mock.method(PasswordReset, "create", async doc => doc);
+  const audits = t.mock.method(AdminAudit, "create", async doc => doc);
+  t.mock.method(console, "error", () => {});
+  const send = t.mock.method(notifier, "send", async () => { throw new Error("SMTP down"); });
+
+  const post = path => app.request(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${tokenFor("superadmin", ADMIN_ID)}` },
+    body: JSON.stringify({ name: "Ada", email: "ada@example.com" })
+  });
+
+  const res = await post("/api/superadmin/admins/invite");
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual((await res.json()).data.delivered, false);
+
+  assert.strictEqual((await post(`/api/superadmin/admins/${INVITED_ID}/resend-invite`)).status, 502);
+
+  send.mock.mockImplementation(async () => {});
+  const resent = await post(`/api/superadmin/admins/${INVITED_ID}/resend-invite`);
+  assert.strictEqual(resent.status, 200);
+  assert.strictEqual(send.mock.callCount(), 3);
+  assert.deepStrictEqual(audits.mock.calls.map(call => call.arguments[0].action), ["invite", "resend-invite", "resend-invite"]);
+});